@@ -1,4 +1,249 @@
 // Trading Journal Application - Integrated with Firebase
+
+// Fields a broker tradebook row is mapped onto before buys and sells are paired.
+const IMPORT_FIELDS = [
+  { key: 'symbol', label: 'Symbol', required: true },
+  { key: 'side', label: 'Buy/Sell' },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'date', label: 'Date / Time', required: true },
+  { key: 'time', label: 'Time (if separate)' },
+  { key: 'tradeId', label: 'Trade ID' }
+];
+
+// Column names as they appear in each broker's tradebook export.
+const BROKER_IMPORT_PRESETS = {
+  zerodha: {
+    columns: {
+      symbol: ['symbol', 'tradingsymbol'],
+      side: ['trade_type', 'type'],
+      quantity: ['quantity', 'qty'],
+      price: ['price'],
+      date: ['order_execution_time', 'trade_date'],
+      tradeId: ['trade_id']
+    }
+  },
+  upstox: {
+    columns: {
+      symbol: ['Scrip Name', 'Symbol', 'Company'],
+      side: ['Side', 'Buy/Sell', 'Transaction Type'],
+      quantity: ['Quantity', 'Qty'],
+      price: ['Price', 'Trade Price', 'Rate'],
+      date: ['Date', 'Trade Date'],
+      time: ['Trade Time', 'Time'],
+      tradeId: ['Trade Num', 'Trade ID', 'Trade No']
+    }
+  },
+  ibkr: {
+    columns: {
+      symbol: ['Symbol'],
+      side: ['Buy/Sell'],
+      quantity: ['Quantity'],
+      price: ['T. Price', 'TradePrice', 'Price'],
+      date: ['Date/Time', 'DateTime', 'TradeDate'],
+      tradeId: ['TradeID', 'Trade ID']
+    }
+  },
+  generic: null
+};
+
+const TRADE_SEGMENTS = {
+  equity_intraday: 'Equity Intraday',
+  equity_delivery: 'Equity Delivery',
+  fo_futures: 'F&O Futures',
+  fo_options: 'F&O Options'
+};
+
+const ATTACHMENT_TYPES = /^(image\/|application\/pdf$)/;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const UNDO_WINDOW_MS = 8000;
+
+const CUSTOM_FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  select: 'Select',
+  boolean: 'Yes / No'
+};
+
+const INSTRUMENT_TYPES = {
+  equity: 'Equity',
+  future: 'Future',
+  option: 'Option',
+  spread: 'Options Spread'
+};
+
+// Component templates for common option structures; strikes and premiums are filled in by the user.
+const STRUCTURE_TEMPLATES = {
+  vertical: {
+    label: 'Vertical Spread',
+    components: [{ optionType: 'CE', side: 'Buy' }, { optionType: 'CE', side: 'Sell' }]
+  },
+  straddle: {
+    label: 'Straddle',
+    components: [{ optionType: 'CE', side: 'Buy' }, { optionType: 'PE', side: 'Buy' }]
+  },
+  strangle: {
+    label: 'Strangle',
+    components: [{ optionType: 'CE', side: 'Buy' }, { optionType: 'PE', side: 'Buy' }]
+  },
+  iron_condor: {
+    label: 'Iron Condor',
+    components: [
+      { optionType: 'PE', side: 'Buy' }, { optionType: 'PE', side: 'Sell' },
+      { optionType: 'CE', side: 'Sell' }, { optionType: 'CE', side: 'Buy' }
+    ]
+  },
+  custom: {
+    label: 'Custom',
+    components: []
+  }
+};
+
+// Holding-period buckets, in the order getHoldingBucket tests them. Sessions are weekdays after the entry date.
+const HOLDING_BUCKETS = [
+  { key: 'scalp', label: 'Scalp (under 5 min)' },
+  { key: 'intraday', label: 'Intraday' },
+  { key: 'overnight', label: 'Overnight (next session)' },
+  { key: 'swing', label: 'Swing (2-20 sessions)' },
+  { key: 'position', label: 'Position (20+ sessions)' }
+];
+
+// Dimensions offered by the analytics explorer. `type` selects how getPivotDimensionValues reads the trade.
+const PIVOT_DIMENSIONS = [
+  { key: 'strategy', label: 'Strategy', group: 'Trade' },
+  { key: 'symbol', label: 'Symbol', group: 'Trade' },
+  { key: 'direction', label: 'Direction', group: 'Trade' },
+  { key: 'segment', label: 'Segment', group: 'Trade', type: 'segment' },
+  { key: 'instrumentType', label: 'Instrument', group: 'Trade' },
+  { key: 'accountId', label: 'Account', group: 'Trade', type: 'account' },
+  { key: 'exitReason', label: 'Exit Reason', group: 'Trade' },
+  { key: 'weekday', label: 'Weekday', group: 'Time', type: 'weekday' },
+  { key: 'month', label: 'Month', group: 'Time', type: 'month' },
+  { key: 'holdingPeriod', label: 'Holding Period', group: 'Time', type: 'holding' },
+  { key: 'marketSession', label: 'Market Session', group: 'Time' },
+  { key: 'marketSentiment', label: 'Market Sentiment', group: 'Market Context' },
+  { key: 'marketEnvironment', label: 'Market Environment', group: 'Market Context' },
+  { key: 'volatilityToday', label: 'Volatility', group: 'Market Context' },
+  { key: 'sectorPerformance', label: 'Sector Performance', group: 'Market Context' },
+  { key: 'newsAwareness', label: 'News Awareness', group: 'Market Context' },
+  { key: 'economicEvents', label: 'Economic Events', group: 'Market Context', type: 'multi' },
+  { key: 'tradeCatalyst', label: 'Trade Catalyst', group: 'Setup' },
+  { key: 'volumeAnalysis', label: 'Volume Analysis', group: 'Setup' },
+  { key: 'technicalConfluence', label: 'Technical Confluence', group: 'Setup', type: 'multi' },
+  { key: 'multiTimeframes', label: 'Timeframes Checked', group: 'Setup', type: 'multi' },
+  { key: 'waitedForSetup', label: 'Waited for Setup', group: 'Setup' },
+  { key: 'planDeviation', label: 'Plan Deviation', group: 'Execution' },
+  { key: 'primaryExitReason', label: 'Primary Exit Reason', group: 'Execution' },
+  { key: 'wouldTakeAgain', label: 'Would Take Again', group: 'Execution' },
+  { key: 'preEmotion', label: 'Pre-Trade Emotion', group: 'Psychology' },
+  { key: 'postEmotion', label: 'Post-Trade Emotion', group: 'Psychology' },
+  { key: 'exitEmotion', label: 'Exit Emotion', group: 'Psychology' },
+  { key: 'personalDistractions', label: 'Distractions', group: 'Psychology', type: 'multi' },
+  { key: 'confidenceLevel', label: 'Confidence', group: 'Psychology', type: 'scale' },
+  { key: 'sleepQuality', label: 'Sleep Quality', group: 'Psychology', type: 'scale' },
+  { key: 'physicalCondition', label: 'Physical Condition', group: 'Psychology', type: 'scale' },
+  { key: 'fomoLevel', label: 'FOMO Level', group: 'Psychology', type: 'scale' },
+  { key: 'preStress', label: 'Pre-Trade Stress', group: 'Psychology', type: 'scale' },
+  { key: 'positionComfort', label: 'Position Comfort', group: 'Psychology', type: 'scale' },
+  { key: 'stressDuring', label: 'Stress During Trade', group: 'Psychology', type: 'scale' }
+];
+
+const PIVOT_METRICS = [
+  { key: 'trades', label: 'Trades' },
+  { key: 'winRate', label: 'Win %' },
+  { key: 'netPL', label: 'Net P&L' },
+  { key: 'avgPL', label: 'Avg P&L' },
+  { key: 'expectancyR', label: 'Expectancy (R)' },
+  { key: 'profitFactor', label: 'Profit Factor' }
+];
+
+// Columns the history table can show. `type` picks the cell renderer; derived keys
+// (underlying, rMultiple, holdingMinutes, ...) are resolved by getHistoryCellValue.
+const HISTORY_COLUMNS = [
+  { key: 'entryDate', label: 'Date', type: 'date', group: 'Trade' },
+  { key: 'exitDate', label: 'Exit Date', type: 'date', group: 'Trade' },
+  { key: 'symbol', label: 'Symbol', type: 'symbol', group: 'Trade' },
+  { key: 'underlying', label: 'Underlying', group: 'Trade' },
+  { key: 'instrumentType', label: 'Instrument', group: 'Trade' },
+  { key: 'segment', label: 'Segment', type: 'segment', group: 'Trade' },
+  { key: 'accountId', label: 'Account', group: 'Trade' },
+  { key: 'direction', label: 'Dir', type: 'direction', group: 'Trade' },
+  { key: 'status', label: 'Status', group: 'Trade' },
+  { key: 'quantity', label: 'Qty', type: 'quantity', group: 'Trade' },
+  { key: 'entryPrice', label: 'Entry', type: 'currency', group: 'Trade' },
+  { key: 'exitPrice', label: 'Exit', type: 'currency', group: 'Trade' },
+  { key: 'stopLoss', label: 'Stop', type: 'currency', group: 'Trade' },
+  { key: 'targetPrice', label: 'Target', type: 'currency', group: 'Trade' },
+  { key: 'strategy', label: 'Strategy', type: 'strategy', group: 'Trade' },
+  { key: 'tags', label: 'Tags', type: 'list', group: 'Trade' },
+  { key: 'exitReason', label: 'Exit Reason', group: 'Trade' },
+  { key: 'grossPL', label: 'Gross P&L', type: 'currency', group: 'Results' },
+  { key: 'charges', label: 'Charges', type: 'currency', group: 'Results' },
+  { key: 'netPL', label: 'P&L', type: 'pl', group: 'Results' },
+  { key: 'riskRewardRatio', label: 'R:R', type: 'number', group: 'Results' },
+  { key: 'initialRisk', label: 'Initial Risk', type: 'currency', group: 'Results' },
+  { key: 'rMultiple', label: 'R-Multiple', type: 'r', group: 'Results' },
+  { key: 'mae', label: 'MAE', type: 'currency', group: 'Results' },
+  { key: 'mfe', label: 'MFE', type: 'currency', group: 'Results' },
+  { key: 'holdingMinutes', label: 'Held', type: 'duration', group: 'Results' },
+  { key: 'holdingType', label: 'Intraday / Carry', group: 'Results' },
+  { key: 'preEmotion', label: 'Pre Emotion', group: 'Psychology' },
+  { key: 'postEmotion', label: 'Post Emotion', group: 'Psychology' },
+  { key: 'exitEmotion', label: 'Exit Emotion', group: 'Psychology' },
+  { key: 'confidenceLevel', label: 'Confidence', type: 'number', group: 'Psychology' },
+  { key: 'sleepQuality', label: 'Sleep', type: 'number', group: 'Psychology' },
+  { key: 'physicalCondition', label: 'Physical', type: 'number', group: 'Psychology' },
+  { key: 'fomoLevel', label: 'FOMO', type: 'number', group: 'Psychology' },
+  { key: 'preStress', label: 'Pre Stress', type: 'number', group: 'Psychology' },
+  { key: 'positionComfort', label: 'Comfort', type: 'number', group: 'Psychology' },
+  { key: 'stressDuring', label: 'Stress During', type: 'number', group: 'Psychology' },
+  { key: 'personalDistractions', label: 'Distractions', type: 'list', group: 'Psychology' },
+  { key: 'marketSession', label: 'Session', group: 'Context' },
+  { key: 'marketSentiment', label: 'Sentiment', group: 'Context' },
+  { key: 'marketEnvironment', label: 'Environment', group: 'Context' },
+  { key: 'volatilityToday', label: 'Volatility', group: 'Context' },
+  { key: 'sectorPerformance', label: 'Sector', group: 'Context' },
+  { key: 'newsAwareness', label: 'News', group: 'Context' },
+  { key: 'economicEvents', label: 'Economic Events', type: 'list', group: 'Context' },
+  { key: 'volumeAnalysis', label: 'Volume', group: 'Setup' },
+  { key: 'tradeCatalyst', label: 'Catalyst', group: 'Setup' },
+  { key: 'technicalConfluence', label: 'Confluence', type: 'list', group: 'Setup' },
+  { key: 'multiTimeframes', label: 'Timeframes', type: 'list', group: 'Setup' },
+  { key: 'waitedForSetup', label: 'Waited for Setup', group: 'Setup' },
+  { key: 'planDeviation', label: 'Plan Deviation', group: 'Review' },
+  { key: 'primaryExitReason', label: 'Primary Exit Reason', group: 'Review' },
+  { key: 'wouldTakeAgain', label: 'Take Again', group: 'Review' },
+  { key: 'followedRules', label: 'Rules Followed', type: 'list', group: 'Review' },
+  { key: 'lesson', label: 'Lesson', group: 'Review' },
+  { key: 'notes', label: 'Notes', group: 'Review' }
+];
+
+const DEFAULT_HISTORY_COLUMNS = ['entryDate', 'symbol', 'direction', 'quantity', 'entryPrice', 'exitPrice', 'netPL', 'strategy'];
+
+// Analytics selects saved with a view (see saveView); each is an element id.
+const ANALYTICS_VIEW_CONTROLS = ['analyticsGroupBy', 'timeHeatmapMetric', 'pivotRow', 'pivotCol', 'pivotMetric'];
+
+// Indicative Indian tax heads: intraday equity is speculative income, delivery equity is
+// a capital gain (long-term after 12 months) and F&O is non-speculative business income.
+const TAX_CATEGORIES = {
+  speculative: 'Speculative (equity intraday)',
+  stcg: 'Short-term capital gain',
+  ltcg: 'Long-term capital gain',
+  business: 'Non-speculative business (F&O)'
+};
+
+const CHARGE_PROFILE_FIELDS = [
+  { key: 'brokerageFlat', label: 'Brokerage ₹/order' },
+  { key: 'brokeragePercent', label: 'Brokerage %' },
+  { key: 'brokerageCap', label: 'Brokerage cap ₹/order' },
+  { key: 'sttBuy', label: 'STT % (buy)' },
+  { key: 'sttSell', label: 'STT % (sell)' },
+  { key: 'exchange', label: 'Exchange txn %' },
+  { key: 'sebi', label: 'SEBI fee %' },
+  { key: 'stampDuty', label: 'Stamp duty % (buy)' },
+  { key: 'gst', label: 'GST % (on brokerage + fees)' }
+];
+
 class TradingJournalApp {
   constructor() {
     // --- FIREBASE SETUP ---
@@ -16,6 +261,11 @@ class TradingJournalApp {
     firebase.initializeApp(firebaseConfig);
     this.auth = firebase.auth();
     this.db = firebase.firestore();
+    this.storage = firebase.storage();
+    // Open the app on localhost with ?emulators to keep uploads in the local Storage emulator.
+    if (location.hostname === 'localhost' && new URLSearchParams(location.search).has('emulators')) {
+      this.storage.useEmulator('localhost', 9199);
+    }
 
     // --- APP STATE ---
     this.currentUser = null;
@@ -24,7 +274,32 @@ class TradingJournalApp {
     this.allConfidence = [];
     this.allNotes = [];
     this.allRules = [];
+    this.allAccounts = [];
+    this.activeAccountId = window.localStorage.getItem('activeAccountId') || '';
     this.currentEditingNoteId = null;
+    this.currentViewingTradeId = null;
+    this.currentEditingTradeId = null;
+    this.closingTradeId = null;
+    this.importState = null;
+    this.formAttachments = {
+      existing: [],
+      pending: []
+    };
+    this.chargeProfiles = null;
+    this.customFields = [];
+    this.benchmark = null;
+    this.historyTable = {
+      columns: DEFAULT_HISTORY_COLUMNS,
+      pageSize: 50
+    };
+    this.historyView = {
+      sort: { key: 'entryDate', desc: true },
+      page: 1
+    };
+    this.historySelection = new Set();
+    this.allViews = [];
+    this.analyticsView = null;
+    this.scopedTrades = null;
     this.charts = {};
     this.forecastChart = null;
     this.mainListenersAttached = false;
@@ -152,6 +427,7 @@ class TradingJournalApp {
         if (hasActiveSubscription) {
           await this.loadUserData();
           this.showMainApp();
+          this.runAttachmentCleanup();
         } else {
           this.showSubscriptionExpiredScreen();
         }
@@ -164,6 +440,21 @@ class TradingJournalApp {
         this.allConfidence = [];
         this.allNotes = [];
         this.allRules = [];
+        this.chargeProfiles = null;
+        this.allAccounts = [];
+        this.customFields = [];
+        this.benchmark = null;
+        this.historyRows = [];
+        this.historySelection.clear();
+        this.historyTable = { columns: DEFAULT_HISTORY_COLUMNS, pageSize: 50 };
+        this.historyView = { sort: { key: 'entryDate', desc: true }, page: 1 };
+        this.allViews = [];
+        this.analyticsView = null;
+        this.scopedTrades = null;
+        this.searchIndex = null;
+        this.tagSpellings = null;
+        document.getElementById('globalSearch').value = '';
+        document.getElementById('searchResults').classList.add('hidden');
         Object.values(this.charts).forEach(chart => chart?.destroy());
         this.charts = {};
         if (this.forecastChart) this.forecastChart.destroy();
@@ -277,17 +568,27 @@ class TradingJournalApp {
     if (!this.currentUser) return;
     console.log('[DATA] Loading user data...');
     this.showToast('Loading your data...', 'info');
+    this.searchIndex = null;
+    this.analyticsView = null;
+    this.scopedTrades = null;
     const tradesQuery = this.db.collection('users').doc(this.currentUser.uid).collection('trades').orderBy('entryDate', 'desc').get();
     const confidenceQuery = this.db.collection('users').doc(this.currentUser.uid).collection('confidence').orderBy('date', 'desc').get();
     const notesQuery = this.db.collection('users').doc(this.currentUser.uid).collection('notes').orderBy('date', 'desc').get();
     const rulesQuery = this.db.collection('users').doc(this.currentUser.uid).collection('rules').orderBy('createdAt', 'desc').get();
+    const chargesQuery = this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('charges').get();
+    const accountsQuery = this.db.collection('users').doc(this.currentUser.uid).collection('accounts').orderBy('createdAt', 'asc').get();
+    const customFieldsQuery = this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('customFields').get();
+    const benchmarkQuery = this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('benchmark').get();
+    const historyTableQuery = this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('historyTable').get();
+    const viewsQuery = this.db.collection('users').doc(this.currentUser.uid).collection('views').orderBy('createdAt', 'asc').get();
     try {
-      const [tradesSnapshot, confidenceSnapshot, notesSnapshot, rulesSnapshot] = await Promise.all([tradesQuery, confidenceQuery, notesQuery, rulesQuery]);
+      const [tradesSnapshot, confidenceSnapshot, notesSnapshot, rulesSnapshot, chargesDoc, accountsSnapshot, customFieldsDoc, benchmarkDoc, historyTableDoc, viewsSnapshot] = await Promise.all([tradesQuery, confidenceQuery, notesQuery, rulesQuery, chargesQuery, accountsQuery, customFieldsQuery, benchmarkQuery, historyTableQuery, viewsQuery]);
       this.allTrades = tradesSnapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
       console.log(`[DATA] Loaded ${this.allTrades.length} trades.`);
+      this.tagSpellings = null;
       this.allConfidence = confidenceSnapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data()
@@ -303,6 +604,21 @@ class TradingJournalApp {
         ...doc.data()
       }));
       console.log(`[DATA] Loaded ${this.allRules.length} rules.`);
+      this.chargeProfiles = chargesDoc.exists ? chargesDoc.data().profiles || null : null;
+      this.allAccounts = accountsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      console.log(`[DATA] Loaded ${this.allAccounts.length} accounts.`);
+      if (!this.allAccounts.some(a => a.id === this.activeAccountId)) this.activeAccountId = '';
+      this.customFields = customFieldsDoc.exists ? customFieldsDoc.data().fields || [] : [];
+      this.benchmark = benchmarkDoc.exists ? benchmarkDoc.data() : null;
+      this.historyTable = { columns: DEFAULT_HISTORY_COLUMNS, pageSize: 50, ...(historyTableDoc.exists ? historyTableDoc.data() : {}) };
+      this.historyView = { sort: { key: 'entryDate', desc: true }, page: 1 };
+      this.allViews = viewsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
 
     } catch (error) {
       console.error("[DATA] Error loading user data:", error);
@@ -311,6 +627,12 @@ class TradingJournalApp {
       this.allConfidence = [];
       this.allNotes = [];
       this.allRules = [];
+      this.chargeProfiles = null;
+      this.allAccounts = [];
+      this.activeAccountId = '';
+      this.customFields = [];
+      this.benchmark = null;
+      this.allViews = [];
     }
   }
 
@@ -334,7 +656,9 @@ class TradingJournalApp {
       this.mainListenersAttached = true;
     }
     this.updateUserInfo();
-    this.showSection('dashboard');
+    this.renderAccountOptions();
+    this.applyAccountCurrency();
+    this.showSection(window.location.hash.startsWith('#history') ? 'history' : 'dashboard');
   }
 
   attachMainListeners() {
@@ -347,22 +671,72 @@ class TradingJournalApp {
       this.currencySymbol = e.target.value;
       document.dispatchEvent(new CustomEvent('data-changed'));
     });
-    document.getElementById('quickAddTrade').addEventListener('click', () => this.showSection('add-trade'));
+    document.getElementById('quickAddTrade').addEventListener('click', () => {
+      this.resetTradeForm();
+      this.showSection('add-trade');
+    });
     document.getElementById('saveConfidenceBtn').addEventListener('click', () => this.saveDailyConfidence());
     document.getElementById('saveNoteBtn').addEventListener('click', () => this.saveNote());
     document.getElementById('saveNoteChangesBtn').addEventListener('click', () => this.saveNoteChanges());
     this.setupAddTradeForm();
+    document.getElementById('editTradeBtn').addEventListener('click', () => this.editTrade(this.currentViewingTradeId));
+    document.getElementById('deleteTradeBtn').addEventListener('click', () => this.deleteTrade(this.currentViewingTradeId));
+    document.getElementById('closePositionBtn').addEventListener('click', () => this.showClosePositionModal(this.currentViewingTradeId));
+    document.getElementById('confirmClosePositionBtn').addEventListener('click', () => this.closePosition());
+    document.getElementById('benchmarkFile').addEventListener('change', (e) => {
+      this.importBenchmark(e.target.files[0]);
+      e.target.value = '';
+    });
+    document.getElementById('importExcursionFile').addEventListener('change', (e) => {
+      this.importIntradayPrices(e.target.files[0]);
+      e.target.value = '';
+    });
+    document.getElementById('importMarksFile').addEventListener('change', (e) => {
+      this.importMarkPrices(e.target.files[0]);
+      e.target.value = '';
+    });
     document.getElementById('exportData').addEventListener('click', () => this.exportCSV());
+    document.getElementById('importTradesBtn').addEventListener('click', () => this.showImportModal());
+    document.getElementById('importFile').addEventListener('change', (e) => this.loadImportFile(e.target.files[0]));
+    document.getElementById('importBroker').addEventListener('change', () => this.renderImportMapping());
+    document.getElementById('importPreviewBtn').addEventListener('click', () => this.previewImport());
+    document.getElementById('confirmImportBtn').addEventListener('click', () => this.confirmImport());
     document.getElementById('prevMonth').addEventListener('click', () => this.changeCalendarMonth(-1));
     document.getElementById('nextMonth').addEventListener('click', () => this.changeCalendarMonth(1));
     document.getElementById('dashPrevMonth').addEventListener('click', () => this.changeCalendarMonth(-1));
     document.getElementById('dashNextMonth').addEventListener('click', () => this.changeCalendarMonth(1));
     document.addEventListener('data-changed', () => {
+      this.searchIndex = null;
+      this.tagSpellings = null;
       const activeSection = document.querySelector('.section.active');
       if (activeSection) this.showSection(activeSection.id);
     });
 
     document.getElementById('showRulebookBtn').addEventListener('click', () => this.showRulebookModal());
+    const searchInput = document.getElementById('globalSearch');
+    searchInput.addEventListener('input', () => this.renderSearchResults(searchInput.value));
+    searchInput.addEventListener('focus', () => this.renderSearchResults(searchInput.value));
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeSearch();
+      if (e.key === 'Enter') document.querySelector('#searchResults .search-result')?.click();
+    });
+    document.addEventListener('click', (e) => {
+      if (!e.target.closest('.global-search')) document.getElementById('searchResults').classList.add('hidden');
+    });
+    document.addEventListener('keydown', (e) => {
+      if (!this.lightbox) return;
+      if (e.key === 'Escape') this.closeLightbox();
+      if (e.key === 'ArrowRight') this.stepLightbox(1);
+      if (e.key === 'ArrowLeft') this.stepLightbox(-1);
+    });
+    document.getElementById('showAccountsBtn').addEventListener('click', () => this.showAccountsModal());
+    document.getElementById('accountSwitcher').addEventListener('change', (e) => this.switchAccount(e.target.value));
+    const accountForm = document.getElementById('accountForm');
+    accountForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveAccount();
+    });
+    document.getElementById('cancelEditAccountBtn').addEventListener('click', () => this.resetAccountForm());
     const rulebookForm = document.getElementById('rulebookForm');
     rulebookForm.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -370,6 +744,10 @@ class TradingJournalApp {
     });
     document.getElementById('cancelEditRuleBtn').addEventListener('click', () => this.resetRulebookForm());
 
+    document.getElementById('showChargesBtn').addEventListener('click', () => this.showChargesModal());
+    document.getElementById('saveChargesBtn').addEventListener('click', () => this.saveChargeProfiles());
+    document.getElementById('resetChargesBtn').addEventListener('click', () => this.renderChargesForm(TradeMetrics.DEFAULT_CHARGE_PROFILES));
+
     const navToggle = document.getElementById('navToggle');
     const navCollapse = document.getElementById('navCollapse');
     if (navToggle && navCollapse) {
@@ -454,6 +832,9 @@ class TradingJournalApp {
     document.querySelectorAll('.nav-link').forEach(btn => btn.classList.toggle('active', btn.dataset.section === id));
     document.querySelectorAll('.section').forEach(sec => sec.classList.remove('active'));
     document.getElementById(id).classList.add('active');
+    if (id !== 'history' && window.location.hash.startsWith('#history')) this.setHistoryFiltersInUrl({});
+    // The analytics view's trades are filtered once here, not on every read of `analyticsTrades`; data changes re-enter here.
+    this.scopedTrades = id === 'analytics' && this.analyticsView ? this.trades.filter(t => this.matchesHistoryFilters(t, this.analyticsView.filters)) : null;
     switch (id) {
       case 'dashboard':
         this.renderDashboard();
@@ -511,6 +892,10 @@ class TradingJournalApp {
     });
   }
 
+  escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
   showToast(msg, type = 'info') {
     const container = document.getElementById('toastContainer');
     const div = document.createElement('div');
@@ -520,41 +905,241 @@ class TradingJournalApp {
     setTimeout(() => div.remove(), 4000);
   }
 
+  // A longer-lived toast with an Undo button. `onExpire` runs once the chance to undo has passed.
+  showUndoToast(msg, onUndo, onExpire) {
+    const container = document.getElementById('toastContainer');
+    const div = document.createElement('div');
+    div.className = 'toast info toast--undo';
+    div.innerHTML = `<span></span><button type="button" class="toast__undo">Undo</button>`;
+    div.querySelector('span').textContent = msg;
+    container.appendChild(div);
+    const timer = setTimeout(() => {
+      div.remove();
+      if (onExpire) onExpire();
+    }, UNDO_WINDOW_MS);
+    div.querySelector('button').onclick = () => {
+      clearTimeout(timer);
+      div.remove();
+      onUndo();
+    };
+  }
+
+  /* ----------------------- SEARCH ------------------------------ */
+  tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // Inverted index over trades, daily notes and rules, rebuilt lazily after any data change.
+  // Field weights make a symbol or strategy hit outrank a passing mention in the notes.
+  buildSearchIndex() {
+    const docs = [
+      ...this.trades.map(t => ({
+        type: 'trade',
+        id: t.id,
+        title: `${t.symbol} · ${t.direction}`,
+        subtitle: `${this.formatDate(t.entryDate)}${t.strategy ? ` · ${t.strategy}` : ''}${t.status === 'open' ? '' : ` · ${this.formatCurrency(t.netPL)}`}`,
+        fields: [
+          { text: t.symbol, weight: 3 },
+          { text: t.strategy, weight: 2 },
+          { text: (t.tags || []).join(' '), weight: 2 },
+          { text: t.lesson, weight: 1.5, snippet: true },
+          { text: t.notes, weight: 1, snippet: true }
+        ]
+      })),
+      ...this.allNotes.map(n => ({
+        type: 'note',
+        id: n.id,
+        title: 'Daily note',
+        subtitle: this.formatDate(n.date),
+        fields: [{ text: n.content, weight: 1, snippet: true }]
+      })),
+      ...this.allRules.map(r => ({
+        type: 'rule',
+        id: r.id,
+        title: r.title,
+        subtitle: 'Rule',
+        fields: [
+          { text: r.title, weight: 2 },
+          { text: r.description, weight: 1, snippet: true }
+        ]
+      }))
+    ];
+    const postings = new Map();
+    docs.forEach((doc, d) => {
+      doc.fields.forEach((field, f) => {
+        const counts = {};
+        this.tokenize(field.text).forEach(term => (counts[term] = (counts[term] || 0) + 1));
+        Object.entries(counts).forEach(([term, tf]) => {
+          if (!postings.has(term)) postings.set(term, []);
+          postings.get(term).push({ d, f, tf });
+        });
+      });
+    });
+    return { docs, postings, terms: [...postings.keys()] };
+  }
+
+  // Every query word must match (as a whole word or, for as-you-type, a word prefix).
+  // Scores are tf-idf weighted by field, with a bonus when the whole phrase appears verbatim.
+  searchJournal(query) {
+    const words = this.tokenize(query);
+    if (words.length === 0) return [];
+    this.searchIndex = this.searchIndex || this.buildSearchIndex();
+    const { docs, postings, terms } = this.searchIndex;
+    let scores = null;
+    words.forEach(word => {
+      const wordScores = new Map();
+      terms.filter(term => term.startsWith(word)).forEach(term => {
+        const list = postings.get(term);
+        const idf = Math.log(1 + docs.length / list.length);
+        const exact = term === word ? 1 : 0.7;
+        list.forEach(({ d, f, tf }) => {
+          const score = docs[d].fields[f].weight * (1 + Math.log(tf)) * idf * exact;
+          wordScores.set(d, Math.max(wordScores.get(d) || 0, score));
+        });
+      });
+      scores = scores === null ? wordScores : new Map([...scores].filter(([d]) => wordScores.has(d)).map(([d, sc]) => [d, sc + wordScores.get(d)]));
+    });
+    const phrase = query.trim().toLowerCase();
+    return [...scores].map(([d, score]) => {
+      const doc = docs[d];
+      const hasPhrase = words.length > 1 && doc.fields.some(f => String(f.text || '').toLowerCase().includes(phrase));
+      return { doc, score: score * (hasPhrase ? 1.5 : 1) };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  buildSearchSnippet(doc, words) {
+    // Prefer the field holding the most query words, so "moved my stop" quotes the note that says it.
+    const matchCount = text => words.filter(w => this.tokenize(text).some(term => term.startsWith(w))).length;
+    const field = doc.fields
+      .filter(f => f.snippet && f.text && matchCount(f.text) > 0)
+      .sort((a, b) => matchCount(b.text) - matchCount(a.text))[0];
+    if (!field) return '';
+    const text = String(field.text);
+    const lower = text.toLowerCase();
+    const first = Math.min(...words.map(w => lower.indexOf(w)).filter(i => i > -1));
+    const start = Math.max(0, first - 60);
+    const end = Math.min(text.length, first + 100);
+    const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    // Words come from tokenize, so they hold only letters and digits and need no escaping.
+    // Matching runs on the raw excerpt, so a query like "amp" never lands inside an HTML entity;
+    // split keeps the captured matches at odd indexes.
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    return excerpt.split(pattern).map((part, i) => (i % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))).join('');
+  }
+
+  renderSearchResults(query) {
+    const panel = document.getElementById('searchResults');
+    if (!query.trim()) {
+      panel.classList.add('hidden');
+      return;
+    }
+    const words = this.tokenize(query);
+    const results = this.searchJournal(query).slice(0, 20);
+    const icons = { trade: '📈', note: '📝', rule: '📏' };
+    panel.innerHTML = results.length === 0 ? '<div class="search-empty">No matches.</div>' : results.map(({ doc }) => {
+      const snippet = this.buildSearchSnippet(doc, words);
+      return `
+      <button class="search-result" onclick="app.openSearchResult('${doc.type}', '${doc.id}')">
+        <div class="search-result__title">${icons[doc.type]} ${this.escapeHtml(doc.title)} <small>${this.escapeHtml(doc.subtitle)}</small></div>
+        ${snippet ? `<div class="search-result__snippet">${snippet}</div>` : ''}
+      </button>`;
+    }).join('');
+    panel.classList.remove('hidden');
+  }
+
+  openSearchResult(type, id) {
+    this.closeSearch();
+    if (type === 'trade') this.showTradeDetails(id);
+    if (type === 'note') this.showNoteDetails(id);
+    if (type === 'rule') {
+      this.showRulebookModal();
+      this.editRule(id);
+    }
+  }
+
+  closeSearch() {
+    document.getElementById('searchResults').classList.add('hidden');
+    document.getElementById('globalSearch').blur();
+  }
+
   /* ---------------------- DASHBOARD & STATS ----------------------------- */
+  // Every view reads trades through here, so the nav account switcher scopes them all at once.
   get trades() {
-    return this.allTrades || [];
+    const all = this.allTrades || [];
+    return this.activeAccountId ? all.filter(t => t.accountId === this.activeAccountId) : all;
+  }
+  // Every realized-performance view reads from here, so a partly exited position counts for what it has booked.
+  get closedTrades() {
+    return this.getRealizedTrades(this.trades);
+  }
+  getRealizedTrades(trades) {
+    return trades.flatMap(t => {
+      if (t.status !== 'open') return [t];
+      const portion = this.getRealizedPortion(t);
+      return portion ? [portion] : [];
+    });
+  }
+  // An open position with exit legs has already realized P&L on the exited quantity. It is shown
+  // to the stats as a closed trade of that quantity; the open remainder stays in openTrades.
+  // Its charges are the exit orders' plus the exited share of the entry orders'.
+  getRealizedPortion(t) {
+    const closedQuantity = (t.quantity || 0) - (t.remainingQuantity ?? t.quantity);
+    if (!(t.legs && t.legs.length > 0) || !(closedQuantity > 0) || !t.exitDate) return null;
+    const share = closedQuantity / t.quantity;
+    const openSide = t.direction === 'Short' ? 'Sell' : 'Buy';
+    const entryCharges = TradeMetrics.calculateCharges({ ...t, legs: t.legs.filter(l => l.side === openSide) }, this.chargeProfiles);
+    const exitCharges = TradeMetrics.calculateCharges({ ...t, legs: t.legs.filter(l => l.side !== openSide) }, this.chargeProfiles);
+    const charges = Object.fromEntries(Object.keys(exitCharges).map(key => [key, Math.round((exitCharges[key] + entryCharges[key] * share) * 100) / 100]));
+    const netPL = t.grossPL - charges.total;
+    return { ...t,
+      status: 'closed',
+      partialExit: true,
+      quantity: closedQuantity,
+      remainingQuantity: 0,
+      charges,
+      netPL,
+      initialRisk: t.initialRisk ? t.initialRisk * share : t.initialRisk,
+      rMultiple: t.initialRisk ? netPL / (t.initialRisk * share) : null,
+      mae: null,
+      mfe: null
+    };
+  }
+  // The analytics page reads these instead: a saved view picked there narrows the account's trades.
+  // Search, imports and the other pages keep reading `trades`, so the view never hides anything from them.
+  get analyticsTrades() {
+    return this.scopedTrades || this.trades;
+  }
+  get analyticsClosedTrades() {
+    return this.getRealizedTrades(this.analyticsTrades);
+  }
+  get openTrades() {
+    return this.trades.filter(t => t.status === 'open');
   }
   get confidenceEntries() {
     return this.allConfidence || [];
   }
 
-  calculateStats() {
-    if (this.trades.length === 0) {
-      return {
-        totalPL: 0,
-        winRate: 0,
-        totalTrades: 0,
+  calculateStats(trades = this.trades) {
+    const closed = this.getRealizedTrades(trades);
+    const base = this.calculateStatsForTrades(closed);
+    if (base.totalTrades === 0) {
+      return { ...base,
         avgRR: '1:0',
-        bestTrade: 0,
-        worstTrade: 0
+        expectancyR: null,
+        sqn: null,
+        rTrades: 0
       };
     }
-    const totalPL = this.trades.reduce((sum, t) => sum + (t.netPL || 0), 0);
-    const wins = this.trades.filter(t => t.netPL > 0).length;
-    const winRate = this.trades.length > 0 ? Math.round((wins / this.trades.length) * 100) : 0;
-    const bestTrade = Math.max(0, ...this.trades.map(t => t.netPL));
-    const worstTrade = Math.min(0, ...this.trades.map(t => t.netPL));
-    const validRRTrades = this.trades.filter(t => t.riskRewardRatio > 0);
+    const validRRTrades = closed.filter(t => t.riskRewardRatio > 0);
     const avgRRNum = validRRTrades.length > 0 ?
       (validRRTrades.reduce((sum, t) => sum + t.riskRewardRatio, 0) / validRRTrades.length).toFixed(2) :
       '0.00';
-    return {
-      totalPL,
-      winRate,
-      totalTrades: this.trades.length,
+    const r = this.calculateRStats(closed);
+    return { ...base,
       avgRR: '1:' + avgRRNum,
-      bestTrade,
-      worstTrade
+      expectancyR: r.expectancy,
+      sqn: r.sqn,
+      rTrades: r.count
     };
   }
 
@@ -564,9 +1149,14 @@ class TradingJournalApp {
     const totalPLEl = document.getElementById('totalPL');
     totalPLEl.textContent = this.formatCurrency(s.totalPL);
     totalPLEl.className = 'stat-value ' + (s.totalPL >= 0 ? 'positive' : 'negative');
+    const capital = this.getScopedCapital();
+    document.getElementById('totalPLReturn').textContent = capital > 0 ? `(${(s.totalPL / capital * 100).toFixed(2)}% on ${this.formatCurrency(capital)})` : '';
     document.getElementById('winRate').textContent = s.winRate + '%';
     document.getElementById('totalTrades').textContent = s.totalTrades;
     document.getElementById('avgRR').textContent = s.avgRR;
+    const dd = this.calculateDrawdownStats();
+    document.getElementById('dashboardDrawdown').textContent = dd.points === 0 ? '' :
+      `Max drawdown ${this.formatDrawdown(dd.maxDrawdown, dd.maxDrawdownPct)} · Current ${this.formatDrawdown(dd.currentDrawdown, dd.currentDrawdownPct)}`;
     const list = document.getElementById('recentTradesList');
     if (this.trades.length === 0) {
       list.innerHTML = '<div class="empty-state">No trades yet. Click "Add New Trade" to get started!</div>';
@@ -578,9 +1168,13 @@ class TradingJournalApp {
             <span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span>
             <span class="trade-date">${this.formatDate(t.entryDate)}</span>
             </div>
-            <div class="trade-pl ${t.netPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.netPL)}</div>
+            ${t.status === 'open' ?
+              '<div class="trade-pl"><span class="status-badge open">Open</span></div>' :
+              `<div class="trade-pl ${t.netPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.netPL)}</div>`}
         </div>`).join('');
     }
+    this.renderPinnedViews();
+    this.renderOpenPositions();
     this.drawDashboardPLChart();
     this.renderDashboardAIFeedback();
     this.buildDashboardCalendar();
@@ -881,258 +1475,2164 @@ class TradingJournalApp {
     document.getElementById('cancelEditRuleBtn').classList.add('hidden');
   }
 
-  /* ----------------------- ADD TRADE FORM ------------------------------ */
-  renderAddTrade() {
-    const now = new Date();
-    const entryDateEl = document.querySelector('input[name="entryDate"]');
-    const exitDateEl = document.querySelector('input[name="exitDate"]');
-    if (entryDateEl) entryDateEl.value = now.toISOString().slice(0, 16);
-    if (exitDateEl) exitDateEl.value = new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString().slice(0, 16);
-    this.renderRulebookChecklist();
+  /* ----------------------- ACCOUNTS SECTION ------------------------------ */
+  get activeAccount() {
+    return this.allAccounts.find(a => a.id === this.activeAccountId) || null;
   }
 
-  renderRulebookChecklist() {
-    const container = document.getElementById('rulebookChecklist');
-    if (!container) return;
-
-    if (this.allRules.length === 0) {
-      container.innerHTML = '<p class="empty-state-sm">No rules defined. Go to "My Rulebook" to add some.</p>';
-      return;
-    }
-
-    container.innerHTML = this.allRules.map(rule => `
-          <label title="${rule.description}">
-              <input type="checkbox" name="followedRules" value="${rule.title}"> ${rule.title}
-          </label>
-      `).join('');
+  getAccountName(accountId) {
+    return this.allAccounts.find(a => a.id === accountId)?.name || '';
   }
 
-  setupAddTradeForm() {
-    const form = document.getElementById('addTradeForm');
-    form.querySelectorAll('.range-input').forEach(slider => {
-      const display = slider.parentElement.querySelector('.range-value');
-      if (display) {
-        slider.addEventListener('input', () => (display.textContent = slider.value));
-      }
-    });
-    const calcFields = ['quantity', 'entryPrice', 'exitPrice', 'stopLoss', 'targetPrice', 'direction'];
-    calcFields.forEach(name => {
-      form.querySelector(`[name="${name}"]`)?.addEventListener('input', () => this.updateCalculations());
-    });
-    form.addEventListener('submit', e => {
-      e.preventDefault();
-      this.submitTrade();
-    });
-    document.getElementById('resetTradeForm').addEventListener('click', () => {
-      form.reset();
-      this.updateCalculations();
-      this.renderAddTrade();
-      form.querySelectorAll('.range-value').forEach(el => el.textContent = '5');
-      document.getElementById('otherStrategyGroup').classList.add('hidden');
+  renderAccountOptions() {
+    const options = this.allAccounts.map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+    const switcher = document.getElementById('accountSwitcher');
+    switcher.innerHTML = '<option value="">All Accounts</option>' + options;
+    switcher.value = this.activeAccountId;
+    switcher.classList.toggle('hidden', this.allAccounts.length === 0);
+    document.querySelectorAll('select[name="accountId"], #importAccount, #bulkAccount').forEach(select => {
+      const current = select.value;
+      select.innerHTML = '<option value="">No account</option>' + options;
+      select.value = this.allAccounts.some(a => a.id === current) ? current : this.activeAccountId;
     });
+  }
 
-    const strategySelect = document.getElementById('addTradeStrategySelect');
-    const otherStrategyGroup = document.getElementById('otherStrategyGroup');
-    if (strategySelect && otherStrategyGroup) {
-      strategySelect.addEventListener('change', function() {
-        if (this.value === 'Other') {
-          otherStrategyGroup.classList.remove('hidden');
-        } else {
-          otherStrategyGroup.classList.add('hidden');
-        }
-      });
-    }
+  switchAccount(accountId) {
+    this.activeAccountId = accountId;
+    window.localStorage.setItem('activeAccountId', accountId);
+    this.renderAccountOptions();
+    this.applyAccountCurrency();
+    document.dispatchEvent(new CustomEvent('data-changed'));
   }
 
-  updateCalculations() {
-    const fd = new FormData(document.getElementById('addTradeForm'));
-    const qty = parseFloat(fd.get('quantity')) || 0;
-    const entry = parseFloat(fd.get('entryPrice')) || 0;
-    const exit = parseFloat(fd.get('exitPrice')) || 0;
-    const sl = parseFloat(fd.get('stopLoss')) || 0;
-    const target = parseFloat(fd.get('targetPrice')) || 0;
-    const dir = fd.get('direction');
-    let gross = (qty && entry && exit) ? (dir === 'Long' ? (exit - entry) * qty : (entry - exit) * qty) : 0;
-    const net = gross - 40;
-    let riskReward = 0;
-    if (qty && entry && sl && target && dir) {
-      const risk = Math.abs(entry - sl);
-      const reward = Math.abs(target - entry);
-      if (risk > 0) riskReward = reward / risk;
-    }
-    document.getElementById('calcGrossPL').textContent = this.formatCurrency(gross);
-    document.getElementById('calcNetPL').textContent = this.formatCurrency(net);
-    document.getElementById('calcRiskReward').textContent = '1:' + riskReward.toFixed(2);
+  // A single account is shown in its own base currency; "All Accounts" keeps whatever the user picked.
+  applyAccountCurrency() {
+    const currency = this.activeAccount?.baseCurrency;
+    if (!currency) return;
+    this.currencySymbol = currency === 'USD' ? '$' : '₹';
+    document.getElementById('currencySelector').value = this.currencySymbol;
   }
 
-  getCheckboxValues(form, name) {
-    return Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(cb => cb.value);
+  // Starting capital of the accounts in scope, used to express P&L as a return.
+  getScopedCapital() {
+    const accounts = this.activeAccount ? [this.activeAccount] : this.allAccounts;
+    return accounts.reduce((sum, a) => sum + (a.startingCapital || 0), 0);
   }
 
-  getRadioValue(form, name) {
-    const radio = form.querySelector(`input[name="${name}"]:checked`);
-    return radio ? radio.value : '';
+  showAccountsModal() {
+    document.getElementById('accountsModal').classList.remove('hidden');
+    this.resetAccountForm();
+    this.renderAccounts();
   }
 
-  async submitTrade() {
-    const form = document.getElementById('addTradeForm');
-    const fd = new FormData(form);
-    form.querySelectorAll('.form-error').forEach(e => e.classList.remove('active'));
-    if (!this.currentUser) {
-      this.showToast('You must be logged in to add a trade.', 'error');
+  hideAccountsModal() {
+    document.getElementById('accountsModal').classList.add('hidden');
+  }
+
+  renderAccounts() {
+    const container = document.getElementById('accountListContainer');
+    if (this.allAccounts.length === 0) {
+      container.innerHTML = '<div class="empty-state">No accounts yet. All trades are journaled together until you add one.</div>';
       return;
     }
+    container.innerHTML = this.allAccounts.map(a => {
+      const count = (this.allTrades || []).filter(t => t.accountId === a.id).length;
+      return `
+          <div class="rule-item">
+              <div class="rule-content">
+                  <h4 class="rule-title">${a.name}</h4>
+                  <p class="rule-description">${a.broker || 'No broker'} · ${a.baseCurrency} · Starting capital ${this.formatCurrency(a.startingCapital, a.baseCurrency)} · ${count} trades</p>
+              </div>
+              <div class="rule-actions">
+                  <button class="btn btn--outline btn--sm" onclick="app.editAccount('${a.id}')">Edit</button>
+                  <button class="btn btn--danger btn--sm" onclick="app.deleteAccount('${a.id}')">Delete</button>
+              </div>
+          </div>`;
+    }).join('');
+  }
 
-    let finalStrategy = fd.get('strategy');
-    if (finalStrategy === 'Other') {
-      const customStrategy = fd.get('other_strategy').trim();
-      finalStrategy = customStrategy || 'Other (unspecified)';
+  async saveAccount() {
+    const form = document.getElementById('accountForm');
+    const accountId = form.accountId.value;
+    const name = form.accountName.value.trim();
+    if (!name) {
+      this.showToast('Account name cannot be empty.', 'warning');
+      return;
     }
-
-    const trade = {
-      symbol: fd.get('symbol').toUpperCase(),
-      direction: fd.get('direction'),
-      quantity: parseFloat(fd.get('quantity')),
-      entryPrice: parseFloat(fd.get('entryPrice')),
-      exitPrice: parseFloat(fd.get('exitPrice')),
-      stopLoss: parseFloat(fd.get('stopLoss')) || null,
-      targetPrice: parseFloat(fd.get('targetPrice')) || null,
-      strategy: finalStrategy,
-      exitReason: fd.get('exitReason') || 'N/A',
-      confidenceLevel: parseInt(fd.get('confidenceLevel')),
-      entryDate: fd.get('entryDate'),
-      exitDate: fd.get('exitDate'),
-      preEmotion: fd.get('preEmotion') || '',
-      postEmotion: fd.get('postEmotion') || '',
-      notes: fd.get('notes') || '',
-      sleepQuality: parseInt(fd.get('sleepQuality')) || 5,
-      physicalCondition: parseInt(fd.get('physicalCondition')) || 5,
-      marketSentiment: fd.get('marketSentiment') || '',
-      newsAwareness: fd.get('newsAwareness') || '',
-      marketEnvironment: fd.get('marketEnvironment') || '',
-      fomoLevel: parseInt(fd.get('fomoLevel')) || 1,
-      preStress: parseInt(fd.get('preStress')) || 1,
-      multiTimeframes: this.getCheckboxValues(form, 'multiTimeframes'),
-      volumeAnalysis: fd.get('volumeAnalysis') || '',
-      technicalConfluence: this.getCheckboxValues(form, 'technicalConfluence'),
-      marketSession: fd.get('marketSession') || '',
-      tradeCatalyst: fd.get('tradeCatalyst') || '',
-      waitedForSetup: this.getRadioValue(form, 'waitedForSetup'),
-      positionComfort: parseInt(fd.get('positionComfort')) || 5,
-      planDeviation: fd.get('planDeviation') || '',
-      stressDuring: parseInt(fd.get('stressDuring')) || 1,
-      primaryExitReason: fd.get('primaryExitReason') || '',
-      exitEmotion: fd.get('exitEmotion') || '',
-      wouldTakeAgain: this.getRadioValue(form, 'wouldTakeAgain'),
-      lesson: fd.get('lesson') || '',
-      volatilityToday: fd.get('volatilityToday') || '',
-      sectorPerformance: fd.get('sectorPerformance') || '',
-      economicEvents: this.getCheckboxValues(form, 'economicEvents'),
-      personalDistractions: this.getCheckboxValues(form, 'personalDistractions'),
-      followedRules: this.getCheckboxValues(form, 'followedRules'),
-      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    const accountData = {
+      name,
+      broker: form.accountBroker.value.trim(),
+      baseCurrency: form.accountCurrency.value,
+      startingCapital: parseFloat(form.accountCapital.value) || 0,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     };
-    trade.grossPL = trade.direction === 'Long' ? (trade.exitPrice - trade.entryPrice) * trade.quantity : (trade.entryPrice - trade.exitPrice) * trade.quantity;
-    trade.netPL = trade.grossPL - 40;
-    if (trade.stopLoss && trade.targetPrice) {
-      const risk = Math.abs(trade.entryPrice - trade.stopLoss);
-      const reward = Math.abs(trade.targetPrice - trade.entryPrice);
-      trade.riskRewardRatio = risk ? reward / risk : 0;
-    } else {
-      trade.riskRewardRatio = 0;
-    }
+    const accountsRef = this.db.collection('users').doc(this.currentUser.uid).collection('accounts');
     try {
-      const docRef = await this.db.collection('users').doc(this.currentUser.uid).collection('trades').add(trade);
-      this.allTrades.unshift({
-        id: docRef.id,
-        ...trade
-      });
-      this.showToast('Trade saved successfully!', 'success');
-      form.reset();
-      this.updateCalculations();
-      this.renderAddTrade();
-      document.getElementById('otherStrategyGroup').classList.add('hidden');
+      if (accountId) {
+        await accountsRef.doc(accountId).update(accountData);
+        const index = this.allAccounts.findIndex(a => a.id === accountId);
+        this.allAccounts[index] = { ...this.allAccounts[index],
+          ...accountData
+        };
+        this.showToast('Account updated successfully!', 'success');
+      } else {
+        accountData.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+        const docRef = await accountsRef.add(accountData);
+        this.allAccounts.push({
+          id: docRef.id,
+          ...accountData
+        });
+        this.showToast('Account added successfully!', 'success');
+      }
+      this.resetAccountForm();
+      this.renderAccounts();
+      this.renderAccountOptions();
+      this.applyAccountCurrency();
       document.dispatchEvent(new CustomEvent('data-changed'));
-      this.showSection('dashboard');
     } catch (error) {
-      console.error('[DATA] Firestore insert error:', error);
-      this.showToast(`Error saving trade: ${error.message}`, 'error');
+      this.showToast(`Error saving account: ${error.message}`, 'error');
+      console.error("[DATA] Error saving account:", error);
     }
   }
 
-  /* ---------------------------- HISTORY ------------------------------- */
-  renderHistory() {
-    const container = document.getElementById('historyContent');
-    if (this.trades.length === 0) {
-      container.innerHTML = '<div class="empty-state">No trades recorded yet.</div>';
+  editAccount(accountId) {
+    const account = this.allAccounts.find(a => a.id === accountId);
+    if (!account) return;
+    const form = document.getElementById('accountForm');
+    form.accountId.value = account.id;
+    form.accountName.value = account.name;
+    form.accountBroker.value = account.broker || '';
+    form.accountCurrency.value = account.baseCurrency || 'INR';
+    form.accountCapital.value = account.startingCapital || '';
+    document.getElementById('cancelEditAccountBtn').classList.remove('hidden');
+  }
+
+  async deleteAccount(accountId) {
+    const count = (this.allTrades || []).filter(t => t.accountId === accountId).length;
+    if (count > 0) {
+      this.showToast(`This account still has ${count} trades. Move or delete them first.`, 'warning');
       return;
     }
-    const symbols = [...new Set(this.trades.map(t => t.symbol))];
-    const symbolFilter = document.getElementById('symbolFilter');
-    symbolFilter.innerHTML = '<option value="">All Symbols</option>' + symbols.map(s => `<option value="${s}">${s}</option>`).join('');
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('accounts').doc(accountId).delete();
+      this.allAccounts = this.allAccounts.filter(a => a.id !== accountId);
+      if (this.activeAccountId === accountId) this.switchAccount('');
+      this.renderAccounts();
+      this.renderAccountOptions();
+      this.showToast('Account deleted.', 'info');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      this.showToast(`Error deleting account: ${error.message}`, 'error');
+      console.error("[DATA] Error deleting account:", error);
+    }
+  }
 
-    const strategies = [...new Set(this.trades.map(t => t.strategy))];
+  resetAccountForm() {
+    const form = document.getElementById('accountForm');
+    form.reset();
+    form.accountId.value = '';
+    document.getElementById('cancelEditAccountBtn').classList.add('hidden');
+  }
 
-    const strategyFilter = document.getElementById('strategyFilter');
-    strategyFilter.innerHTML = '<option value="">All Strategies</option>' + strategies.map(s => `<option value="${s}">${s}</option>`).join('');
-    const applyFilters = () => {
-      const symVal = symbolFilter.value;
-      const stratVal = strategyFilter.value;
-      const filtered = this.trades.filter(t => (!symVal || t.symbol === symVal) && (!stratVal || t.strategy === stratVal));
-      renderTable(filtered);
-    };
-    symbolFilter.onchange = strategyFilter.onchange = applyFilters;
-    const renderTable = rows => {
-      if (rows.length === 0) {
-        container.innerHTML = '<div class="empty-state">No trades match filter.</div>';
-        return;
-      }
-      container.innerHTML = `
-        <div class="card"><table class="trade-table"><thead>
-          <tr><th>Date</th><th>Symbol</th><th>Dir</th><th>Qty</th><th>Entry</th><th>Exit</th><th>P&L</th><th>Strategy</th></tr>
-        </thead><tbody>
-          ${rows.map(t => `
-            <tr onclick="app.showTradeDetails('${t.id}')">
-              <td data-label="Date">${this.formatDate(t.entryDate)}</td>
-              <td data-label="Symbol">${t.symbol}</td>
-              <td data-label="Direction"><span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span></td>
-              <td data-label="Qty">${t.quantity}</td>
-              <td data-label="Entry">${this.formatCurrency(t.entryPrice)}</td>
-              <td data-label="Exit">${this.formatCurrency(t.exitPrice)}</td>
-              <td data-label="P&L" class="${t.netPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.netPL)}</td>
-              <td data-label="Strategy">${t.strategy}</td>
-            </tr>`).join('')}
-        </tbody></table></div>`;
+  /* ----------------------- CHARGES SECTION ------------------------------ */
+  formatChargesBreakdown(charges) {
+    if (!charges) return '';
+    const labels = {
+      brokerage: 'Brokerage',
+      stt: 'STT',
+      exchange: 'Exchange',
+      gst: 'GST',
+      sebi: 'SEBI',
+      stampDuty: 'Stamp'
     };
-    applyFilters();
+    return Object.entries(labels).map(([key, label]) => `${label} ${this.formatCurrency(charges[key])}`).join(' · ');
   }
 
-  /* -------------------------- MODAL & DETAILS ------------------------------ */
-  showTradeDetails(id) {
-    const t = this.trades.find(tr => tr.id === id);
-    if (!t) return;
-    const rrText = t.riskRewardRatio ? t.riskRewardRatio.toFixed(2) : '0.00';
+  showChargesModal() {
+    const saved = {};
+    Object.keys(TRADE_SEGMENTS).forEach(seg => {
+      saved[seg] = TradeMetrics.getChargeProfile(seg, this.chargeProfiles);
+    });
+    this.renderChargesForm(saved);
+    document.getElementById('chargesModal').classList.remove('hidden');
+  }
 
-    let followedRulesHtml = '';
-    if (t.followedRules && t.followedRules.length > 0) {
-      followedRulesHtml = `
-            <div style="margin-top:16px;">
-                <strong>Followed Rules:</strong>
-                <ul style="padding-left: 20px; margin-top: 8px;">
-                    ${t.followedRules.map(rule => `<li>${rule}</li>`).join('')}
-                </ul>
-            </div>
-        `;
-    }
+  hideChargesModal() {
+    document.getElementById('chargesModal').classList.add('hidden');
+  }
 
-    const body = document.getElementById('tradeModalBody');
-    body.innerHTML = `<div class="trade-detail-grid">
+  renderChargesForm(profiles) {
+    const segments = Object.keys(TRADE_SEGMENTS);
+    document.getElementById('chargesFormContainer').innerHTML = `
+      <table class="report-table charges-table">
+        <thead><tr><th></th>${segments.map(seg => `<th>${TRADE_SEGMENTS[seg]}</th>`).join('')}</tr></thead>
+        <tbody>
+          <tr><td>Brokerage type</td>${segments.map(seg => `
+            <td><select class="form-control" data-segment="${seg}" data-field="brokerageType">
+              <option value="flat" ${profiles[seg].brokerageType === 'flat' ? 'selected' : ''}>Flat</option>
+              <option value="percent" ${profiles[seg].brokerageType === 'percent' ? 'selected' : ''}>% with cap</option>
+            </select></td>`).join('')}</tr>
+          ${CHARGE_PROFILE_FIELDS.map(f => `
+          <tr><td>${f.label}</td>${segments.map(seg => `
+            <td><input type="number" class="form-control" step="any" min="0" data-segment="${seg}" data-field="${f.key}" value="${profiles[seg][f.key]}"></td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  async saveChargeProfiles() {
+    const profiles = {};
+    document.querySelectorAll('#chargesFormContainer [data-segment]').forEach(el => {
+      const { segment, field } = el.dataset;
+      profiles[segment] = profiles[segment] || {};
+      profiles[segment][field] = field === 'brokerageType' ? el.value : (parseFloat(el.value) || 0);
+    });
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('charges').set({
+        profiles,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      }, {
+        merge: true
+      });
+      this.chargeProfiles = profiles;
+      this.showToast('Charge profiles saved. They apply to trades you add or edit from now on.', 'success');
+      this.hideChargesModal();
+      this.updateCalculations();
+    } catch (error) {
+      this.showToast(`Error saving charges: ${error.message}`, 'error');
+      console.error("[DATA] Error saving charge profiles:", error);
+    }
+  }
+
+  /* ----------------------- INSTRUMENTS & STRUCTURES ------------------------------ */
+  getUnderlying(t) {
+    return t.underlying || t.symbol;
+  }
+
+  buildInstrumentSymbol(instrument) {
+    const { instrumentType, underlying, expiry, strike, optionType, structure } = instrument;
+    if (!underlying || instrumentType === 'equity') return '';
+    const exp = expiry ? new Date(expiry).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' }).replace(' ', '').toUpperCase() : '';
+    if (instrumentType === 'future') return `${underlying} ${exp} FUT`.replace(/\s+/g, ' ');
+    if (instrumentType === 'option') return `${underlying} ${exp} ${strike || ''}${optionType || ''}`.replace(/\s+/g, ' ');
+    return `${underlying} ${exp} ${STRUCTURE_TEMPLATES[structure?.type]?.label || 'Spread'}`.replace(/\s+/g, ' ');
+  }
+
+  readInstrumentFields(fd) {
+    const instrumentType = fd.get('instrumentType') || 'equity';
+    if (instrumentType === 'equity') return { instrumentType };
+    const instrument = {
+      instrumentType,
+      underlying: (fd.get('underlying') || '').trim().toUpperCase(),
+      expiry: fd.get('expiry') || '',
+      lotSize: parseFloat(fd.get('lotSize')) || 1,
+      multiplier: parseFloat(fd.get('multiplier')) || 1
+    };
+    if (instrumentType === 'option') {
+      instrument.strike = parseFloat(fd.get('strike')) || null;
+      instrument.optionType = fd.get('optionType') || 'CE';
+    }
+    if (instrumentType === 'spread') {
+      instrument.structure = {
+        type: fd.get('structureType') || 'custom',
+        components: this.readStructureComponents()
+      };
+    }
+    return instrument;
+  }
+
+  populateInstrumentFields(t) {
+    const form = document.getElementById('addTradeForm');
+    const set = (name, value) => {
+      form.querySelector(`[name="${name}"]`).value = value ?? '';
+    };
+    set('instrumentType', t.instrumentType || 'equity');
+    set('underlying', t.underlying);
+    set('expiry', t.expiry);
+    set('strike', t.strike);
+    set('optionType', t.optionType || 'CE');
+    set('lotSize', t.lotSize || 1);
+    set('multiplier', t.multiplier || 1);
+    set('structureType', t.structure?.type || 'vertical');
+    document.getElementById('structureComponentsContainer').innerHTML = '';
+    (t.structure?.components || []).forEach(c => this.addStructureComponentRow(c));
+    if (t.instrumentType && t.instrumentType !== 'equity') document.getElementById('instrumentSection').open = true;
+    this.toggleInstrumentFields();
+    this.syncStructureToForm();
+  }
+
+  toggleInstrumentFields() {
+    const form = document.getElementById('addTradeForm');
+    const type = form.querySelector('[name="instrumentType"]').value;
+    form.querySelectorAll('[data-instrument]').forEach(el => {
+      el.classList.toggle('hidden', !el.dataset.instrument.split(' ').includes(type));
+    });
+    document.getElementById('legsSection').classList.toggle('hidden', type === 'spread');
+    form.querySelector('[name="symbol"]').required = type === 'equity';
+    const segment = form.querySelector('[name="segment"]');
+    if (type === 'future') segment.value = 'fo_futures';
+    if (type === 'option' || type === 'spread') segment.value = 'fo_options';
+  }
+
+  addStructureComponentRow(c = {}) {
+    const row = document.createElement('div');
+    row.className = 'structure-component-row';
+    row.innerHTML = `
+      <select class="form-control" data-component-field="side">
+        <option value="Buy" ${c.side === 'Sell' ? '' : 'selected'}>Buy</option>
+        <option value="Sell" ${c.side === 'Sell' ? 'selected' : ''}>Sell</option>
+      </select>
+      <select class="form-control" data-component-field="optionType">
+        ${['CE', 'PE', 'FUT'].map(o => `<option value="${o}" ${c.optionType === o ? 'selected' : ''}>${o}</option>`).join('')}
+      </select>
+      <input type="number" class="form-control" data-component-field="strike" placeholder="Strike" step="any" min="0" value="${c.strike ?? ''}">
+      <input type="number" class="form-control" data-component-field="quantity" placeholder="Lots" step="any" min="0" value="${c.quantity ?? ''}">
+      <input type="number" class="form-control" data-component-field="entryPrice" placeholder="Entry" step="0.01" min="0" value="${c.entryPrice ?? ''}">
+      <input type="number" class="form-control" data-component-field="exitPrice" placeholder="Exit (0 if expired)" step="0.01" min="0" value="${c.exitPrice ?? ''}">
+      <button type="button" class="btn btn--outline btn--sm" title="Remove leg">&times;</button>`;
+    row.querySelectorAll('[data-component-field]').forEach(el => el.addEventListener('input', () => this.syncStructureToForm()));
+    row.querySelector('button').addEventListener('click', () => {
+      row.remove();
+      this.syncStructureToForm();
+    });
+    document.getElementById('structureComponentsContainer').appendChild(row);
+  }
+
+  applyStructureTemplate(type) {
+    const existing = this.readStructureComponents();
+    const lots = existing[0]?.quantity || '';
+    document.getElementById('structureComponentsContainer').innerHTML = '';
+    (STRUCTURE_TEMPLATES[type]?.components || []).forEach(c => this.addStructureComponentRow({ ...c,
+      quantity: lots
+    }));
+    this.syncStructureToForm();
+  }
+
+  readStructureComponents() {
+    return Array.from(document.querySelectorAll('#structureComponentsContainer .structure-component-row')).map(row => {
+      const val = field => row.querySelector(`[data-component-field="${field}"]`).value;
+      return {
+        side: val('side'),
+        optionType: val('optionType'),
+        strike: parseFloat(val('strike')) || null,
+        quantity: parseFloat(val('quantity')) || 0,
+        entryPrice: parseFloat(val('entryPrice')),
+        exitPrice: val('exitPrice') === '' ? null : parseFloat(val('exitPrice'))
+      };
+    }).filter(c => c.quantity > 0 && !isNaN(c.entryPrice));
+  }
+
+  syncStructureToForm() {
+    const form = document.getElementById('addTradeForm');
+    const fd = new FormData(form);
+    const instrument = this.readInstrumentFields(fd);
+    const summary = document.getElementById('structureSummary');
+    const isSpread = instrument.instrumentType === 'spread';
+    ['direction', 'quantity', 'entryPrice', 'exitPrice'].forEach(name => {
+      const el = form.querySelector(`[name="${name}"]`);
+      if (isSpread || this.readTradeLegs().length === 0) el.readOnly = isSpread;
+    });
+    if (!isSpread || instrument.structure.components.length === 0) {
+      summary.textContent = '';
+      this.updateCalculations();
+      return;
+    }
+    const trade = TradeMetrics.applyStructureMetrics({ ...instrument,
+      status: fd.get('positionOpen') ? 'open' : 'closed'
+    });
+    form.querySelector('[name="direction"]').value = trade.direction;
+    form.querySelector('[name="quantity"]').value = trade.quantity;
+    form.querySelector('[name="entryPrice"]').value = trade.entryPrice;
+    form.querySelector('[name="exitPrice"]').value = trade.exitPrice ?? '';
+    const money = v => v === null ? 'Unlimited' : this.formatCurrency(v);
+    summary.textContent = `Net ${trade.direction === 'Long' ? 'debit' : 'credit'} ${this.formatCurrency(trade.entryPrice)} per lot · ` +
+      (TradeMetrics.hasStrikes(trade.structure.components) ? `Max risk ${money(trade.maxRisk)} · Max profit ${money(trade.maxProfit)}` : 'Enter every strike to see max risk and profit');
+    this.updateCalculations();
+  }
+
+  renderStructureTable(t) {
+    if (t.instrumentType !== 'spread' || !t.structure) return '';
+    const money = v => v === null || v === undefined ? 'Unlimited' : this.formatCurrency(v);
+    return `
+      <div style="margin-top:16px;">
+        <strong>${STRUCTURE_TEMPLATES[t.structure.type]?.label || 'Spread'} legs</strong>${TradeMetrics.hasStrikes(t.structure.components) ? ` · Max risk ${money(t.maxRisk)} · Max profit ${money(t.maxProfit)}` : ''}
+        <table class="report-table" style="margin-top: 8px;"><thead>
+          <tr><th>Side</th><th>Type</th><th>Strike</th><th>Lots</th><th>Entry</th><th>Exit</th></tr>
+        </thead><tbody>
+          ${t.structure.components.map(c => `
+          <tr>
+            <td>${c.side}</td>
+            <td>${c.optionType}</td>
+            <td>${c.strike ?? '—'}</td>
+            <td>${c.quantity}</td>
+            <td>${this.formatCurrency(c.entryPrice)}</td>
+            <td>${c.exitPrice === null || c.exitPrice === undefined ? '—' : this.formatCurrency(c.exitPrice)}</td>
+          </tr>`).join('')}
+        </tbody></table>
+      </div>`;
+  }
+
+  /* ----------------------- TAGS & CUSTOM FIELDS ------------------------------ */
+  // Tags keep the case they were first typed in across the journal; "A+ setup" and "a+ Setup" are the same tag.
+  parseTags(value) {
+    const seen = new Set();
+    return String(value || '').split(',').map(t => this.canonicalTag(t.trim())).filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Lower-cased tag -> the spelling of its oldest use. Rebuilt after every data change, like the search index.
+  getTagSpellings() {
+    if (!this.tagSpellings) {
+      this.tagSpellings = new Map();
+      [...(this.allTrades || [])].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate)).forEach(t => (t.tags || []).forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!this.tagSpellings.has(key)) this.tagSpellings.set(key, tag);
+      }));
+    }
+    return this.tagSpellings;
+  }
+
+  canonicalTag(tag) {
+    return this.getTagSpellings().get(tag.toLowerCase()) || tag;
+  }
+
+  // Every tag used before, most frequent first, to feed the form's autocomplete and the history filter.
+  getAllTags() {
+    const counts = {};
+    (this.allTrades || []).forEach(t => (t.tags || []).forEach(tag => {
+      const canonical = this.canonicalTag(tag);
+      counts[canonical] = (counts[canonical] || 0) + 1;
+    }));
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  }
+
+  renderTagSuggestions() {
+    document.getElementById('tagSuggestions').innerHTML = this.getAllTags().map(tag => `<option value="${tag}">`).join('');
+  }
+
+  addFormTag(value) {
+    const input = document.querySelector('#addTradeForm [name="tags"]');
+    input.value = this.parseTags(`${input.value},${value}`).join(',');
+    document.getElementById('tagInput').value = '';
+    this.renderTagChips();
+  }
+
+  removeFormTag(tag) {
+    const input = document.querySelector('#addTradeForm [name="tags"]');
+    input.value = this.parseTags(input.value).filter(t => t !== tag).join(',');
+    this.renderTagChips();
+  }
+
+  renderTagChips() {
+    const tags = this.parseTags(document.querySelector('#addTradeForm [name="tags"]').value);
+    document.getElementById('tagChips').innerHTML = tags.map(tag => `
+      <span class="tag-chip">${tag}<button type="button" onclick="app.removeFormTag('${tag.replace(/'/g, "\\'")}')">&times;</button></span>`).join('');
+  }
+
+  renderTagBadges(tags) {
+    return (tags || []).map(tag => `<span class="tag-chip">${tag}</span>`).join('');
+  }
+
+  renderCustomFieldInputs(values = {}) {
+    const container = document.getElementById('customFieldsContainer');
+    if (this.customFields.length === 0) {
+      container.innerHTML = '<p class="empty-state-sm">No custom fields yet. Use "Manage Fields" to add your own.</p>';
+      return;
+    }
+    container.innerHTML = `<div class="form-grid">${this.customFields.map(f => {
+      const name = `cf_${f.id}`;
+      const value = values[f.id] ?? '';
+      let input = `<input type="text" name="${name}" class="form-control" value="${value}">`;
+      if (f.type === 'number') input = `<input type="number" name="${name}" class="form-control" step="any" value="${value}">`;
+      if (f.type === 'select') {
+        input = `<select name="${name}" class="form-control"><option value="">Select</option>${f.options.map(o => `<option value="${o}" ${o === value ? 'selected' : ''}>${o}</option>`).join('')}</select>`;
+      }
+      if (f.type === 'boolean') {
+        input = `<div class="checkbox-group" style="margin-top: 0;"><label><input type="checkbox" name="${name}" value="1" ${value === true ? 'checked' : ''}> Yes</label></div>`;
+      }
+      return `<div class="form-group"><label class="form-label">${f.label}</label>${input}</div>`;
+    }).join('')}</div>`;
+  }
+
+  readCustomFieldValues(fd) {
+    const values = {};
+    this.customFields.forEach(f => {
+      const raw = fd.get(`cf_${f.id}`);
+      if (f.type === 'boolean') {
+        values[f.id] = !!raw;
+        return;
+      }
+      if (raw === null || raw === '') return;
+      values[f.id] = f.type === 'number' ? parseFloat(raw) : raw.trim();
+    });
+    return values;
+  }
+
+  formatCustomFieldValue(field, value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (field.type === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  }
+
+  // Name/value pairs that analytics and history filters can group on, e.g. "tag" or a custom field id.
+  getTradeDimensionValues(t, dimension) {
+    if (dimension === 'tag') return t.tags?.length ? [...new Set(t.tags.map(tag => this.canonicalTag(tag)))] : ['(untagged)'];
+    const builtIn = PIVOT_DIMENSIONS.find(d => d.key === dimension);
+    if (builtIn) return this.getPivotDimensionValues(t, builtIn);
+    const field = this.customFields.find(f => f.id === dimension);
+    if (!field) return [];
+    return [this.formatCustomFieldValue(field, t.customFields?.[field.id]) || '(blank)'];
+  }
+
+  renderCustomFieldDetails(t) {
+    const items = this.customFields.map(f => ({
+      label: f.label,
+      value: this.formatCustomFieldValue(f, t.customFields?.[f.id])
+    })).filter(i => i.value);
+    if (items.length === 0) return '';
+    return `
+      <div class="trade-detail-grid" style="margin-top:16px;">
+        ${items.map(i => `<div class="trade-detail-item"><div class="trade-detail-label">${i.label}</div><div class="trade-detail-value">${i.value}</div></div>`).join('')}
+      </div>`;
+  }
+
+  showCustomFieldsModal() {
+    const container = document.getElementById('customFieldDefinitions');
+    container.innerHTML = '';
+    this.customFields.forEach(f => this.addCustomFieldDefinitionRow(f));
+    document.getElementById('customFieldsModal').classList.remove('hidden');
+  }
+
+  hideCustomFieldsModal() {
+    document.getElementById('customFieldsModal').classList.add('hidden');
+  }
+
+  addCustomFieldDefinitionRow(field = {}) {
+    const row = document.createElement('div');
+    row.className = 'custom-field-row';
+    row.dataset.fieldId = field.id || '';
+    row.innerHTML = `
+      <input type="text" class="form-control" data-def="label" placeholder="Field name, e.g. Setup grade" value="${field.label || ''}">
+      <select class="form-control" data-def="type">
+        ${Object.entries(CUSTOM_FIELD_TYPES).map(([k, v]) => `<option value="${k}" ${field.type === k ? 'selected' : ''}>${v}</option>`).join('')}
+      </select>
+      <input type="text" class="form-control" data-def="options" placeholder="Options, comma separated" value="${(field.options || []).join(', ')}">
+      <button type="button" class="btn btn--outline btn--sm" title="Remove field">&times;</button>`;
+    const typeSelect = row.querySelector('[data-def="type"]');
+    const optionsInput = row.querySelector('[data-def="options"]');
+    const toggleOptions = () => optionsInput.classList.toggle('hidden', typeSelect.value !== 'select');
+    typeSelect.addEventListener('change', toggleOptions);
+    toggleOptions();
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('customFieldDefinitions').appendChild(row);
+  }
+
+  async saveCustomFields() {
+    const rows = Array.from(document.querySelectorAll('#customFieldDefinitions .custom-field-row'));
+    const fields = rows.map(row => {
+      const get = key => row.querySelector(`[data-def="${key}"]`).value.trim();
+      const type = get('type');
+      return {
+        id: row.dataset.fieldId || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        label: get('label'),
+        type,
+        options: type === 'select' ? [...new Set(get('options').split(',').map(o => o.trim()).filter(Boolean))] : []
+      };
+    }).filter(f => f.label);
+    if (fields.some(f => f.type === 'select' && f.options.length === 0)) {
+      this.showToast('Select fields need at least one option.', 'warning');
+      return;
+    }
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('customFields').set({
+        fields,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      const form = document.getElementById('addTradeForm');
+      const values = this.readCustomFieldValues(new FormData(form));
+      this.customFields = fields;
+      this.renderCustomFieldInputs(values);
+      this.hideCustomFieldsModal();
+      this.showToast('Custom fields saved.', 'success');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      this.showToast(`Error saving custom fields: ${error.message}`, 'error');
+      console.error("[DATA] Error saving custom fields:", error);
+    }
+  }
+
+  /* ----------------------- ATTACHMENTS ------------------------------ */
+  addPendingAttachments(fileList) {
+    const files = Array.from(fileList || []);
+    const accepted = files.filter(f => ATTACHMENT_TYPES.test(f.type) && f.size <= MAX_ATTACHMENT_BYTES);
+    if (accepted.length < files.length) {
+      this.showToast(`Only images and PDFs up to ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB can be attached.`, 'warning');
+    }
+    accepted.forEach(file => {
+      this.formAttachments.pending.push({
+        file,
+        previewUrl: URL.createObjectURL(file)
+      });
+    });
+    this.renderAttachmentPreview();
+  }
+
+  removeFormAttachment(kind, index) {
+    const [removed] = this.formAttachments[kind].splice(index, 1);
+    if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+    this.renderAttachmentPreview();
+  }
+
+  renderAttachmentPreview() {
+    const container = document.getElementById('attachmentPreview');
+    if (!container) return;
+    const thumb = (kind, index, url, name, isImage) => `
+      <div class="attachment-thumb">
+        ${isImage ? `<img src="${url}" alt="${name}">` : `<span class="attachment-file">📄 ${name}</span>`}
+        <button type="button" class="attachment-remove" title="Remove" onclick="app.removeFormAttachment('${kind}', ${index})">&times;</button>
+      </div>`;
+    container.innerHTML = [
+      ...this.formAttachments.existing.map((a, i) => thumb('existing', i, a.url, a.name, a.contentType.startsWith('image/'))),
+      ...this.formAttachments.pending.map((p, i) => thumb('pending', i, p.previewUrl, p.file.name || 'Pasted image', p.file.type.startsWith('image/')))
+    ].join('');
+  }
+
+  // Files live under the trade's own folder so deleting a trade can clean them up by path.
+  async uploadTradeAttachments(tradeId, pending) {
+    const folder = this.storage.ref(`users/${this.currentUser.uid}/trades/${tradeId}`);
+    const results = await Promise.allSettled(pending.map(async ({ file }, i) => {
+      const name = (file.name || `screenshot-${i + 1}.png`).replace(/[^\w.-]+/g, '_');
+      const ref = folder.child(`${Date.now()}_${i}_${name}`);
+      const snapshot = await ref.put(file, {
+        contentType: file.type
+      });
+      return {
+        name,
+        path: ref.fullPath,
+        url: await snapshot.ref.getDownloadURL(),
+        contentType: file.type,
+        size: file.size
+      };
+    }));
+    const uploaded = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) {
+      await this.deleteTradeAttachments(uploaded);
+      throw failed.reason;
+    }
+    return uploaded;
+  }
+
+  async deleteTradeAttachments(attachments) {
+    await Promise.all(attachments.map(a => this.storage.ref(a.path).delete().catch(error => {
+      console.error(`[DATA] Error deleting attachment ${a.path}:`, error);
+    })));
+  }
+
+  // Files of trades deleted with an undo window are queued in settings/attachmentCleanup
+  // before the documents go, so they are removed later even if the tab closes first.
+  async queueAttachmentCleanup(attachments) {
+    if (attachments.length === 0) return;
+    const after = Date.now() + UNDO_WINDOW_MS;
+    await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('attachmentCleanup').set({
+      items: firebase.firestore.FieldValue.arrayUnion(...attachments.map(a => ({ path: a.path, after })))
+    }, { merge: true });
+  }
+
+  // Runs after the undo window and on every load. Files a trade still points at (the delete
+  // failed or was undone) are kept; either way the entry leaves the queue once it is due.
+  async runAttachmentCleanup() {
+    if (!this.currentUser) return;
+    const ref = this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('attachmentCleanup');
+    try {
+      const doc = await ref.get();
+      const due = (doc.exists ? doc.data().items || [] : []).filter(item => item.after <= Date.now());
+      if (due.length === 0) return;
+      const inUse = new Set((this.allTrades || []).flatMap(t => (t.attachments || []).map(a => a.path)));
+      await this.deleteTradeAttachments(due.filter(item => !inUse.has(item.path)));
+      await ref.update({ items: firebase.firestore.FieldValue.arrayRemove(...due) });
+    } catch (error) {
+      console.error('[DATA] Error cleaning up attachments:', error);
+    }
+  }
+
+  renderAttachmentGallery(t) {
+    if (!t.attachments || t.attachments.length === 0) return '';
+    return `
+      <div style="margin-top:16px;">
+        <strong>Attachments:</strong>
+        <div class="attachment-gallery">
+          ${t.attachments.map((a, i) => a.contentType.startsWith('image/') ?
+            `<img src="${a.url}" alt="${a.name}" onclick="app.openLightbox('${t.id}', ${i})">` :
+            `<a class="attachment-file" href="${a.url}" target="_blank" rel="noopener">📄 ${a.name}</a>`).join('')}
+        </div>
+      </div>`;
+  }
+
+  openLightbox(tradeId, index) {
+    const t = this.trades.find(tr => tr.id === tradeId);
+    const images = (t?.attachments || []).filter(a => a.contentType.startsWith('image/'));
+    if (images.length === 0) return;
+    const start = t.attachments[index];
+    this.lightbox = {
+      images,
+      index: Math.max(0, images.indexOf(start))
+    };
+    this.renderLightbox();
+    document.getElementById('attachmentLightbox').classList.remove('hidden');
+  }
+
+  stepLightbox(delta) {
+    if (!this.lightbox) return;
+    const count = this.lightbox.images.length;
+    this.lightbox.index = (this.lightbox.index + delta + count) % count;
+    this.renderLightbox();
+  }
+
+  renderLightbox() {
+    const { images, index } = this.lightbox;
+    const img = document.getElementById('lightboxImage');
+    img.src = images[index].url;
+    img.alt = images[index].name;
+    document.getElementById('lightboxCaption').textContent = `${images[index].name} (${index + 1}/${images.length})`;
+    document.querySelectorAll('.lightbox-nav').forEach(btn => btn.classList.toggle('hidden', images.length < 2));
+  }
+
+  closeLightbox() {
+    this.lightbox = null;
+    document.getElementById('attachmentLightbox').classList.add('hidden');
+  }
+
+  /* ----------------------- EXECUTION LEGS ------------------------------ */
+  addTradeLegRow(leg = {}) {
+    const container = document.getElementById('tradeLegsContainer');
+    const row = document.createElement('div');
+    row.className = 'trade-leg-row';
+    row.innerHTML = `
+      <input type="datetime-local" class="form-control" data-leg-field="date" value="${leg.date || ''}">
+      <select class="form-control" data-leg-field="side">
+        <option value="Buy" ${leg.side === 'Sell' ? '' : 'selected'}>Buy</option>
+        <option value="Sell" ${leg.side === 'Sell' ? 'selected' : ''}>Sell</option>
+      </select>
+      <input type="number" class="form-control" data-leg-field="quantity" placeholder="Qty" min="0" step="any" value="${leg.quantity ?? ''}">
+      <input type="number" class="form-control" data-leg-field="price" placeholder="Price" min="0" step="0.01" value="${leg.price ?? ''}">
+      <button type="button" class="btn btn--outline btn--sm" title="Remove leg">&times;</button>`;
+    row.querySelectorAll('[data-leg-field]').forEach(el => el.addEventListener('input', () => this.syncLegsToForm()));
+    row.querySelector('button').addEventListener('click', () => {
+      row.remove();
+      this.syncLegsToForm();
+    });
+    container.appendChild(row);
+    if (!leg.date) {
+      const last = container.querySelectorAll('[data-leg-field="date"]');
+      const prev = last.length > 1 ? last[last.length - 2].value : document.querySelector('input[name="entryDate"]').value;
+      row.querySelector('[data-leg-field="date"]').value = prev;
+    }
+  }
+
+  readTradeLegs() {
+    return Array.from(document.querySelectorAll('#tradeLegsContainer .trade-leg-row')).map(row => ({
+      date: row.querySelector('[data-leg-field="date"]').value,
+      side: row.querySelector('[data-leg-field="side"]').value,
+      quantity: parseFloat(row.querySelector('[data-leg-field="quantity"]').value),
+      price: parseFloat(row.querySelector('[data-leg-field="price"]').value)
+    })).filter(l => l.date && l.quantity > 0 && !isNaN(l.price));
+  }
+
+  // Once legs are entered they own quantity, prices and dates; the single-fill
+  // inputs become read-only mirrors of the aggregate.
+  syncLegsToForm() {
+    const form = document.getElementById('addTradeForm');
+    const legs = this.readTradeLegs();
+    const summary = document.getElementById('legsSummary');
+    const derived = ['direction', 'quantity', 'entryPrice', 'exitPrice', 'entryDate', 'exitDate'].map(name => form.querySelector(`[name="${name}"]`));
+    derived.forEach(el => {
+      el.readOnly = legs.length > 0;
+    });
+    if (legs.length === 0) {
+      summary.textContent = '';
+      this.updateCalculations();
+      return;
+    }
+    const agg = TradeMetrics.aggregateLegs(legs);
+    form.querySelector('[name="direction"]').value = agg.direction;
+    form.querySelector('[name="quantity"]').value = agg.quantity;
+    form.querySelector('[name="entryPrice"]').value = agg.entryPrice;
+    form.querySelector('[name="exitPrice"]').value = agg.exitPrice ?? '';
+    form.querySelector('[name="entryDate"]').value = agg.entryDate;
+    form.querySelector('[name="exitDate"]').value = agg.exitDate || '';
+    summary.innerHTML = `${legs.length} legs · Avg entry ${this.formatCurrency(agg.entryPrice)} · ` +
+      `Closed ${agg.closedQuantity}/${agg.quantity}${agg.exitPrice !== null ? ` @ avg ${this.formatCurrency(agg.exitPrice)}` : ''} · ` +
+      `Remaining ${agg.remainingQuantity} · Realized ${this.formatCurrency(agg.realizedPL)}` +
+      (agg.overClosed ? ' <span class="negative">· Exit quantity exceeds the open position</span>' : '');
+    this.updateCalculations();
+  }
+
+  renderTradeLegsTable(t) {
+    if (!t.legs || t.legs.length === 0) return '';
+    return `
+      <div style="margin-top:16px;">
+        <strong>Executions:</strong>
+        <table class="report-table" style="margin-top: 8px;"><thead>
+          <tr><th>Time</th><th>Side</th><th>Qty</th><th>Price</th><th>Position</th><th>Realized P&L</th></tr>
+        </thead><tbody>
+          ${t.legs.map(l => `
+          <tr>
+            <td>${new Date(l.date).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}</td>
+            <td>${l.side}</td>
+            <td>${l.quantity}</td>
+            <td>${this.formatCurrency(l.price)}</td>
+            <td>${l.positionAfter ?? ''}</td>
+            <td class="${l.realizedPL > 0 ? 'positive' : l.realizedPL < 0 ? 'negative' : ''}">${l.realizedPL ? this.formatCurrency(l.realizedPL) : '—'}</td>
+          </tr>`).join('')}
+        </tbody></table>
+      </div>`;
+  }
+
+  /* ----------------------- OPEN POSITIONS ------------------------------ */
+  getOpenPosition(t) {
+    if (t.instrumentType !== 'spread' && t.legs && t.legs.length > 0) {
+      const agg = TradeMetrics.aggregateLegs(t.legs);
+      return {
+        quantity: agg.remainingQuantity,
+        avgPrice: agg.openAvgPrice
+      };
+    }
+    return {
+      quantity: t.quantity,
+      avgPrice: t.entryPrice
+    };
+  }
+
+  calculateUnrealizedPL(t) {
+    if (t.status !== 'open' || !(t.markPrice > 0)) return null;
+    const { quantity, avgPrice } = this.getOpenPosition(t);
+    return (t.direction === 'Short' ? avgPrice - t.markPrice : t.markPrice - avgPrice) * quantity * TradeMetrics.getContractFactor(t);
+  }
+
+  renderOpenPositions() {
+    const container = document.getElementById('openPositionsList');
+    const totalEl = document.getElementById('openPositionsUnrealized');
+    if (!container) return;
+    const open = this.openTrades;
+    if (open.length === 0) {
+      container.innerHTML = '<div class="empty-state">No open positions.</div>';
+      totalEl.textContent = '';
+      return;
+    }
+    const totalUnrealized = open.reduce((sum, t) => sum + (this.calculateUnrealizedPL(t) || 0), 0);
+    totalEl.textContent = `Unrealized: ${this.formatCurrency(totalUnrealized)}`;
+    totalEl.className = 'open-positions-total ' + (totalUnrealized >= 0 ? 'positive' : 'negative');
+    container.innerHTML = `
+      <table class="trade-table open-positions-table"><thead>
+        <tr><th>Symbol</th><th>Dir</th><th>Open Qty</th><th>Avg Price</th><th>Mark</th><th>Unrealized</th><th></th></tr>
+      </thead><tbody>
+        ${open.map(t => {
+          const pos = this.getOpenPosition(t);
+          const upl = this.calculateUnrealizedPL(t);
+          return `
+          <tr>
+            <td data-label="Symbol"><a href="#" onclick="event.preventDefault(); app.showTradeDetails('${t.id}')">${t.symbol}</a></td>
+            <td data-label="Direction"><span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span></td>
+            <td data-label="Open Qty">${pos.quantity}</td>
+            <td data-label="Avg Price">${this.formatCurrency(pos.avgPrice)}</td>
+            <td data-label="Mark"><input type="number" class="form-control mark-price-input" step="0.01" min="0" value="${t.markPrice ?? ''}" placeholder="Mark" onchange="app.updateMarkPrice('${t.id}', this.value)"></td>
+            <td data-label="Unrealized" class="${upl === null ? '' : upl >= 0 ? 'positive' : 'negative'}">${upl === null ? '—' : this.formatCurrency(upl)}</td>
+            <td><button class="btn btn--outline btn--sm" onclick="app.showClosePositionModal('${t.id}')">Close</button></td>
+          </tr>`;
+        }).join('')}
+      </tbody></table>`;
+  }
+
+  async updateMarkPrice(id, value) {
+    const markPrice = parseFloat(value);
+    if (!(markPrice > 0)) return;
+    const update = {
+      markPrice,
+      markUpdatedAt: new Date().toISOString()
+    };
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('trades').doc(id).update(update);
+      const t = this.allTrades.find(tr => tr.id === id);
+      if (t) Object.assign(t, update);
+      this.renderOpenPositions();
+    } catch (error) {
+      this.showToast(`Error saving mark price: ${error.message}`, 'error');
+      console.error("[DATA] Error saving mark price:", error);
+    }
+  }
+
+  // Accepts any CSV with a symbol column and a price/close/LTP column, e.g. a broker holdings export.
+  async importMarkPrices(file) {
+    if (!file) return;
+    try {
+      const rows = this.parseCSV(await file.text()).filter(r => r.some(c => c.trim()));
+      const headers = (rows.shift() || []).map(h => h.trim().toLowerCase());
+      const symbolCol = headers.findIndex(h => ['symbol', 'tradingsymbol', 'instrument', 'scrip'].includes(h));
+      const priceCol = headers.findIndex(h => ['ltp', 'last price', 'last_price', 'close', 'mark', 'price'].includes(h));
+      if (symbolCol === -1 || priceCol === -1) {
+        this.showToast('Mark price file needs a symbol column and a price/LTP/close column.', 'warning');
+        return;
+      }
+      const marks = {};
+      rows.forEach(r => {
+        const price = this.parseImportNumber(r[priceCol]);
+        if (r[symbolCol] && price > 0) marks[r[symbolCol].trim().toUpperCase()] = price;
+      });
+      const matched = this.openTrades.filter(t => marks[t.symbol]);
+      await Promise.all(matched.map(t => this.updateMarkPrice(t.id, marks[t.symbol])));
+      this.showToast(`Updated mark prices for ${matched.length} open position${matched.length === 1 ? '' : 's'}.`, matched.length ? 'success' : 'info');
+    } catch (error) {
+      console.error('[IMPORT] Mark price import failed:', error);
+      this.showToast(`Could not read mark prices: ${error.message}`, 'error');
+    }
+  }
+
+  showClosePositionModal(id) {
+    const t = this.trades.find(tr => tr.id === id);
+    if (!t || t.status !== 'open') return;
+    this.hideTradeModal();
+    this.closingTradeId = id;
+    const pos = this.getOpenPosition(t);
+    document.getElementById('closePositionTitle').textContent = `Close ${t.symbol} ${t.direction}`;
+    document.getElementById('closeQuantity').value = pos.quantity;
+    document.getElementById('closeQuantity').max = pos.quantity;
+    document.getElementById('closePrice').value = t.markPrice || '';
+    document.getElementById('closeDate').value = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    document.getElementById('closePositionModal').classList.remove('hidden');
+  }
+
+  hideClosePositionModal() {
+    document.getElementById('closePositionModal').classList.add('hidden');
+    this.closingTradeId = null;
+  }
+
+  async closePosition() {
+    const t = this.trades.find(tr => tr.id === this.closingTradeId);
+    if (!t) return;
+    const pos = this.getOpenPosition(t);
+    const quantity = parseFloat(document.getElementById('closeQuantity').value);
+    const price = parseFloat(document.getElementById('closePrice').value);
+    const date = document.getElementById('closeDate').value;
+    if (!(quantity > 0) || quantity > pos.quantity || !(price >= 0) || isNaN(price) || !date) {
+      this.showToast(`Enter an exit price, date and a quantity up to ${pos.quantity}.`, 'warning');
+      return;
+    }
+    if (date < t.entryDate) {
+      this.showToast('Exit date cannot be before the entry date.', 'warning');
+      return;
+    }
+
+    const { id, ...trade } = t;
+    const closeSide = t.direction === 'Short' ? 'Buy' : 'Sell';
+    if (!(t.legs && t.legs.length > 0) && quantity === pos.quantity) {
+      Object.assign(trade, {
+        status: 'closed',
+        exitPrice: price,
+        exitDate: date
+      });
+    } else {
+      // A partial exit turns a single-fill position into legs so the remainder stays open.
+      const legs = t.legs && t.legs.length > 0 ? [...t.legs] : [{
+        date: t.entryDate,
+        side: t.direction === 'Short' ? 'Sell' : 'Buy',
+        quantity: t.quantity,
+        price: t.entryPrice
+      }];
+      legs.push({
+        date,
+        side: closeSide,
+        quantity,
+        price
+      });
+      trade.legs = legs;
+    }
+    TradeMetrics.calculateTradeMetrics(trade, this.chargeProfiles);
+    trade.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('trades').doc(id).update(trade);
+      const index = this.allTrades.findIndex(tr => tr.id === id);
+      this.allTrades[index] = { id,
+        ...trade
+      };
+      this.showToast(trade.status === 'open' ? 'Partial exit recorded.' : 'Position closed.', 'success');
+      this.hideClosePositionModal();
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      this.showToast(`Error closing position: ${error.message}`, 'error');
+      console.error("[DATA] Error closing position:", error);
+    }
+  }
+
+  /* ----------------------- ADD TRADE FORM ------------------------------ */
+  renderAddTrade() {
+    const isEditing = !!this.currentEditingTradeId;
+    document.getElementById('addTradeTitle').textContent = isEditing ? 'Edit Trade' : 'Add New Trade';
+    document.getElementById('saveTradeBtn').textContent = isEditing ? 'Update Trade' : 'Save Trade';
+    document.getElementById('cancelEditTradeBtn').classList.toggle('hidden', !isEditing);
+
+    const form = document.getElementById('addTradeForm');
+    if (!isEditing) {
+      const accountSelect = form.querySelector('[name="accountId"]');
+      if (!accountSelect.value) accountSelect.value = this.activeAccountId;
+      const now = new Date();
+      const entryDateEl = document.querySelector('input[name="entryDate"]');
+      const exitDateEl = document.querySelector('input[name="exitDate"]');
+      if (entryDateEl) entryDateEl.value = now.toISOString().slice(0, 16);
+      if (exitDateEl) exitDateEl.value = new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString().slice(0, 16);
+    }
+    this.renderRulebookChecklist(this.getCheckboxValues(form, 'followedRules'));
+    this.renderCustomFieldInputs(this.readCustomFieldValues(new FormData(form)));
+    this.renderTagSuggestions();
+  }
+
+  renderRulebookChecklist(checkedRules = []) {
+    const container = document.getElementById('rulebookChecklist');
+    if (!container) return;
+
+    if (this.allRules.length === 0) {
+      container.innerHTML = '<p class="empty-state-sm">No rules defined. Go to "My Rulebook" to add some.</p>';
+      return;
+    }
+
+    container.innerHTML = this.allRules.map(rule => `
+          <label title="${rule.description}">
+              <input type="checkbox" name="followedRules" value="${rule.title}" ${checkedRules.includes(rule.title) ? 'checked' : ''}> ${rule.title}
+          </label>
+      `).join('');
+  }
+
+  setupAddTradeForm() {
+    const form = document.getElementById('addTradeForm');
+    form.querySelectorAll('.range-input').forEach(slider => {
+      const display = slider.parentElement.querySelector('.range-value');
+      if (display) {
+        slider.addEventListener('input', () => (display.textContent = slider.value));
+      }
+    });
+    const calcFields = ['quantity', 'entryPrice', 'exitPrice', 'stopLoss', 'targetPrice', 'direction', 'segment'];
+    calcFields.forEach(name => {
+      form.querySelector(`[name="${name}"]`)?.addEventListener('input', () => this.updateCalculations());
+    });
+    ['entryDate', 'exitDate'].forEach(name => {
+      form.querySelector(`[name="${name}"]`)?.addEventListener('change', () => this.syncEquitySegmentToDates());
+    });
+    const segmentSelect = form.querySelector('[name="segment"]');
+    segmentSelect.addEventListener('change', () => (segmentSelect.dataset.explicit = 'true'));
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      this.submitTrade();
+    });
+    document.getElementById('resetTradeForm').addEventListener('click', () => this.resetTradeForm());
+    document.getElementById('addTradeLegBtn').addEventListener('click', () => {
+      this.addTradeLegRow();
+      this.syncLegsToForm();
+      this.toggleExitFields();
+    });
+    const tagInput = document.getElementById('tagInput');
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        this.addFormTag(tagInput.value);
+      } else if (e.key === 'Backspace' && !tagInput.value) {
+        const tags = this.parseTags(form.querySelector('[name="tags"]').value);
+        this.removeFormTag(tags[tags.length - 1]);
+      }
+    });
+    tagInput.addEventListener('change', () => this.addFormTag(tagInput.value));
+    document.getElementById('manageCustomFieldsBtn').addEventListener('click', () => this.showCustomFieldsModal());
+    document.getElementById('addCustomFieldBtn').addEventListener('click', () => this.addCustomFieldDefinitionRow());
+    document.getElementById('saveCustomFieldsBtn').addEventListener('click', () => this.saveCustomFields());
+    document.getElementById('attachmentInput').addEventListener('change', (e) => {
+      this.addPendingAttachments(e.target.files);
+      e.target.value = '';
+    });
+    const dropZone = document.getElementById('attachmentDropZone');
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('dragover');
+      this.addPendingAttachments(e.dataTransfer.files);
+    });
+    form.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.items || []).filter(i => i.kind === 'file').map(i => i.getAsFile());
+      if (files.length === 0) return;
+      e.preventDefault();
+      this.addPendingAttachments(files);
+    });
+    form.querySelector('[name="instrumentType"]').addEventListener('change', () => {
+      this.toggleInstrumentFields();
+      this.syncStructureToForm();
+    });
+    ['lotSize', 'multiplier', 'strike', 'optionType'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).addEventListener('input', () => this.syncStructureToForm());
+    });
+    form.querySelector('[name="structureType"]').addEventListener('change', (e) => this.applyStructureTemplate(e.target.value));
+    document.getElementById('addStructureComponentBtn').addEventListener('click', () => {
+      this.addStructureComponentRow();
+      this.syncStructureToForm();
+    });
+    this.toggleInstrumentFields();
+    form.querySelector('[name="positionOpen"]').addEventListener('change', () => {
+      this.toggleExitFields();
+      this.syncStructureToForm();
+    });
+    document.getElementById('cancelEditTradeBtn').addEventListener('click', () => {
+      this.resetTradeForm();
+      this.showSection('history');
+    });
+
+    const strategySelect = document.getElementById('addTradeStrategySelect');
+    const otherStrategyGroup = document.getElementById('otherStrategyGroup');
+    if (strategySelect && otherStrategyGroup) {
+      strategySelect.addEventListener('change', function() {
+        if (this.value === 'Other') {
+          otherStrategyGroup.classList.remove('hidden');
+        } else {
+          otherStrategyGroup.classList.add('hidden');
+        }
+      });
+    }
+  }
+
+  // Equity trades are classified as intraday or delivery from their dates, as the import does,
+  // until the user picks a segment themselves (or opens a saved trade, whose segment is kept).
+  syncEquitySegmentToDates() {
+    const form = document.getElementById('addTradeForm');
+    const segment = form.querySelector('[name="segment"]');
+    const entryDate = form.querySelector('[name="entryDate"]').value;
+    const exitDate = form.querySelector('[name="exitDate"]').value;
+    if (segment.dataset.explicit || !segment.value.startsWith('equity_') || !entryDate || !exitDate) return;
+    const type = this.getHoldingType({ entryDate, exitDate });
+    segment.value = type === 'intraday' ? 'equity_intraday' : 'equity_delivery';
+    this.updateCalculations();
+  }
+
+  updateCalculations() {
+    const fd = new FormData(document.getElementById('addTradeForm'));
+    const qty = parseFloat(fd.get('quantity')) || 0;
+    const entry = parseFloat(fd.get('entryPrice')) || 0;
+    const exit = parseFloat(fd.get('exitPrice')) || 0;
+    const sl = parseFloat(fd.get('stopLoss')) || 0;
+    const target = parseFloat(fd.get('targetPrice')) || 0;
+    const dir = fd.get('direction');
+    const instrument = this.readInstrumentFields(fd);
+    const factor = TradeMetrics.getContractFactor(instrument);
+    const legs = instrument.instrumentType === 'spread' ? [] : this.readTradeLegs();
+    let gross = (qty && entry && exit) ? (dir === 'Long' ? (exit - entry) * qty : (entry - exit) * qty) * factor : 0;
+    if (instrument.instrumentType === 'spread') gross = fd.get('positionOpen') ? 0 : TradeMetrics.calculateStructurePL(instrument.structure.components, factor);
+    else if (legs.length > 0) gross = TradeMetrics.aggregateLegs(legs, factor).realizedPL;
+    else if (fd.get('positionOpen')) gross = 0;
+    const charges = TradeMetrics.calculateCharges({ ...instrument,
+      status: fd.get('positionOpen') ? 'open' : 'closed',
+      segment: fd.get('segment'),
+      direction: dir,
+      quantity: qty,
+      entryPrice: entry,
+      exitPrice: fd.get('positionOpen') && legs.length === 0 ? 0 : exit,
+      legs
+    }, this.chargeProfiles);
+    const net = gross - charges.total;
+    let riskReward = 0;
+    if (qty && entry && sl && target && dir) {
+      const risk = Math.abs(entry - sl);
+      const reward = Math.abs(target - entry);
+      if (risk > 0) riskReward = reward / risk;
+    }
+    document.getElementById('calcGrossPL').textContent = this.formatCurrency(gross);
+    document.getElementById('calcCharges').textContent = this.formatCurrency(charges.total);
+    document.getElementById('calcChargesBreakdown').textContent = this.formatChargesBreakdown(charges);
+    document.getElementById('calcNetPL').textContent = this.formatCurrency(net);
+    document.getElementById('calcRiskReward').textContent = '1:' + riskReward.toFixed(2);
+  }
+
+  getCheckboxValues(form, name) {
+    return Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(cb => cb.value);
+  }
+
+  getRadioValue(form, name) {
+    const radio = form.querySelector(`input[name="${name}"]:checked`);
+    return radio ? radio.value : '';
+  }
+
+  resetTradeForm() {
+    const form = document.getElementById('addTradeForm');
+    this.currentEditingTradeId = null;
+    form.reset();
+    delete form.querySelector('[name="segment"]').dataset.explicit;
+    this.formAttachments.pending.forEach(p => URL.revokeObjectURL(p.previewUrl));
+    this.formAttachments = {
+      existing: [],
+      pending: []
+    };
+    this.renderAttachmentPreview();
+    form.querySelector('[name="tags"]').value = '';
+    this.renderTagChips();
+    this.renderCustomFieldInputs();
+    form.querySelectorAll('.range-input').forEach(slider => {
+      const display = slider.parentElement.querySelector('.range-value');
+      if (display) display.textContent = slider.value;
+    });
+    form.querySelectorAll('.form-error').forEach(e => {
+      e.textContent = '';
+    });
+    document.getElementById('otherStrategyGroup').classList.add('hidden');
+    document.getElementById('tradeLegsContainer').innerHTML = '';
+    document.getElementById('structureComponentsContainer').innerHTML = '';
+    this.toggleInstrumentFields();
+    this.syncLegsToForm();
+    this.toggleExitFields();
+    this.renderAddTrade();
+  }
+
+  // An open position has no exit yet; leg-based trades derive their status from the legs.
+  toggleExitFields() {
+    const form = document.getElementById('addTradeForm');
+    const openBox = form.querySelector('[name="positionOpen"]');
+    const hasLegs = this.readTradeLegs().length > 0;
+    if (hasLegs) openBox.checked = false;
+    openBox.disabled = hasLegs;
+    ['exitPrice', 'exitDate'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).closest('.form-group').classList.toggle('hidden', openBox.checked);
+    });
+  }
+
+  readTradeForm(form) {
+    const fd = new FormData(form);
+    const instrument = this.readInstrumentFields(fd);
+    const legs = instrument.instrumentType === 'spread' ? [] : this.readTradeLegs();
+
+    let finalStrategy = fd.get('strategy');
+    if (finalStrategy === 'Other') {
+      const customStrategy = fd.get('other_strategy').trim();
+      finalStrategy = customStrategy || 'Other (unspecified)';
+    }
+
+    return {
+      ...instrument,
+      accountId: fd.get('accountId') || '',
+      psychologyRecorded: true,
+      tags: this.parseTags(fd.get('tags')),
+      customFields: this.readCustomFieldValues(fd),
+      symbol: (fd.get('symbol').trim() || this.buildInstrumentSymbol(instrument)).toUpperCase(),
+      direction: fd.get('direction'),
+      status: fd.get('positionOpen') ? 'open' : 'closed',
+      segment: fd.get('segment') || 'equity_intraday',
+      quantity: parseFloat(fd.get('quantity')),
+      entryPrice: parseFloat(fd.get('entryPrice')),
+      exitPrice: parseFloat(fd.get('exitPrice')),
+      stopLoss: parseFloat(fd.get('stopLoss')) || null,
+      targetPrice: parseFloat(fd.get('targetPrice')) || null,
+      maePrice: parseFloat(fd.get('maePrice')) || null,
+      mfePrice: parseFloat(fd.get('mfePrice')) || null,
+      strategy: finalStrategy,
+      exitReason: fd.get('exitReason') || 'N/A',
+      confidenceLevel: parseInt(fd.get('confidenceLevel')),
+      entryDate: fd.get('entryDate'),
+      exitDate: fd.get('exitDate'),
+      preEmotion: fd.get('preEmotion') || '',
+      postEmotion: fd.get('postEmotion') || '',
+      notes: fd.get('notes') || '',
+      sleepQuality: parseInt(fd.get('sleepQuality')) || 5,
+      physicalCondition: parseInt(fd.get('physicalCondition')) || 5,
+      marketSentiment: fd.get('marketSentiment') || '',
+      newsAwareness: fd.get('newsAwareness') || '',
+      marketEnvironment: fd.get('marketEnvironment') || '',
+      fomoLevel: parseInt(fd.get('fomoLevel')) || 1,
+      preStress: parseInt(fd.get('preStress')) || 1,
+      multiTimeframes: this.getCheckboxValues(form, 'multiTimeframes'),
+      volumeAnalysis: fd.get('volumeAnalysis') || '',
+      technicalConfluence: this.getCheckboxValues(form, 'technicalConfluence'),
+      marketSession: fd.get('marketSession') || '',
+      tradeCatalyst: fd.get('tradeCatalyst') || '',
+      waitedForSetup: this.getRadioValue(form, 'waitedForSetup'),
+      positionComfort: parseInt(fd.get('positionComfort')) || 5,
+      planDeviation: fd.get('planDeviation') || '',
+      stressDuring: parseInt(fd.get('stressDuring')) || 1,
+      primaryExitReason: fd.get('primaryExitReason') || '',
+      exitEmotion: fd.get('exitEmotion') || '',
+      wouldTakeAgain: this.getRadioValue(form, 'wouldTakeAgain'),
+      lesson: fd.get('lesson') || '',
+      volatilityToday: fd.get('volatilityToday') || '',
+      sectorPerformance: fd.get('sectorPerformance') || '',
+      economicEvents: this.getCheckboxValues(form, 'economicEvents'),
+      personalDistractions: this.getCheckboxValues(form, 'personalDistractions'),
+      followedRules: this.getCheckboxValues(form, 'followedRules'),
+      ...(legs.length > 0 ? {
+        legs
+      } : {})
+    };
+  }
+
+  async submitTrade() {
+    const form = document.getElementById('addTradeForm');
+    form.querySelectorAll('.form-error').forEach(e => {
+      e.textContent = '';
+      e.classList.remove('active');
+    });
+    if (!this.currentUser) {
+      this.showToast('You must be logged in to add a trade.', 'error');
+      return;
+    }
+
+    const trade = this.readTradeForm(form);
+    if (trade.legs && TradeMetrics.aggregateLegs(trade.legs).overClosed) {
+      this.showToast('An exit leg closes more than the open position. Split it into a separate trade.', 'error');
+      return;
+    }
+    TradeMetrics.calculateTradeMetrics(trade, this.chargeProfiles);
+    const { valid, errors } = TradeSchema.validateTrade(trade);
+    if (!valid) {
+      this.showTradeFormErrors(errors);
+      return;
+    }
+    const tradesRef = this.db.collection('users').doc(this.currentUser.uid).collection('trades');
+    const editingId = this.currentEditingTradeId;
+    const previous = editingId ? this.allTrades.find(t => t.id === editingId) : null;
+    const tradeRef = editingId ? tradesRef.doc(editingId) : tradesRef.doc();
+    let uploaded = [];
+    let written = false;
+    try {
+      uploaded = await this.uploadTradeAttachments(tradeRef.id, this.formAttachments.pending);
+      trade.attachments = [...this.formAttachments.existing, ...uploaded];
+      if (editingId) {
+        trade.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+        await tradeRef.update(trade);
+        written = true;
+        const kept = new Set(trade.attachments.map(a => a.path));
+        await this.deleteTradeAttachments((previous?.attachments || []).filter(a => !kept.has(a.path)));
+        const index = this.allTrades.findIndex(t => t.id === editingId);
+        if (index > -1) {
+          this.allTrades[index] = { ...this.allTrades[index],
+            ...trade
+          };
+        }
+        this.showToast('Trade updated successfully!', 'success');
+      } else {
+        trade.createdAt = firebase.firestore.FieldValue.serverTimestamp();
+        await tradeRef.set(trade);
+        written = true;
+        this.allTrades.unshift({
+          id: tradeRef.id,
+          ...trade
+        });
+        this.showToast('Trade saved successfully!', 'success');
+      }
+      this.resetTradeForm();
+      document.dispatchEvent(new CustomEvent('data-changed'));
+      this.showSection(editingId ? 'history' : 'dashboard');
+    } catch (error) {
+      console.error('[DATA] Firestore write error:', error);
+      this.showToast(`Error saving trade: ${error.message}`, 'error');
+      // The pending files stay in the form, so a retry uploads them again; don't leave these copies behind.
+      if (!written) await this.deleteTradeAttachments(uploaded);
+    }
+  }
+
+  // Fields with a matching "<field>-error" container get an inline message; the rest go in one toast.
+  showTradeFormErrors(errors) {
+    const form = document.getElementById('addTradeForm');
+    const unplaced = [];
+    Object.entries(errors).forEach(([field, message]) => {
+      const el = document.getElementById(`${field}-error`);
+      if (el && form.contains(el)) {
+        el.textContent = message;
+        el.classList.add('active');
+      } else {
+        unplaced.push(message);
+      }
+    });
+    form.querySelector('.form-error.active')?.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center'
+    });
+    this.showToast(unplaced.length ? unplaced.join(' ') : 'Please fix the highlighted fields.', 'error');
+  }
+
+  editTrade(id) {
+    const t = this.trades.find(tr => tr.id === id);
+    if (!t) return;
+    this.hideTradeModal();
+    this.resetTradeForm();
+    this.currentEditingTradeId = id;
+    this.showSection('add-trade');
+    this.populateTradeForm(t);
+  }
+
+  populateTradeForm(t) {
+    const form = document.getElementById('addTradeForm');
+    const setValue = (name, value) => {
+      const el = form.querySelector(`[name="${name}"]`);
+      if (el && value !== undefined && value !== null) el.value = value;
+    };
+    const setChecked = (name, values) => {
+      const list = Array.isArray(values) ? values : [values];
+      form.querySelectorAll(`input[name="${name}"]`).forEach(el => {
+        el.checked = list.includes(el.value);
+      });
+    };
+
+    setValue('accountId', t.accountId || '');
+    setValue('tags', (t.tags || []).join(','));
+    this.renderTagChips();
+    this.renderCustomFieldInputs(t.customFields || {});
+    this.formAttachments.existing = [...(t.attachments || [])];
+    this.renderAttachmentPreview();
+    this.populateInstrumentFields(t);
+    // After the instrument fields, which reset the segment to the instrument's default.
+    setValue('segment', t.segment || 'equity_intraday');
+    form.querySelector('[name="segment"]').dataset.explicit = 'true';
+    form.querySelector('[name="positionOpen"]').checked = t.status === 'open' && !(t.legs && t.legs.length > 0);
+    this.toggleExitFields();
+    ['symbol', 'direction', 'quantity', 'entryPrice', 'exitPrice', 'stopLoss', 'targetPrice', 'maePrice', 'mfePrice', 'entryDate', 'exitDate',
+      'preEmotion', 'postEmotion', 'notes', 'marketSentiment', 'newsAwareness', 'marketEnvironment', 'volumeAnalysis',
+      'marketSession', 'tradeCatalyst', 'planDeviation', 'primaryExitReason', 'exitEmotion', 'lesson', 'volatilityToday',
+      'sectorPerformance', 'confidenceLevel', 'sleepQuality', 'physicalCondition', 'fomoLevel', 'preStress',
+      'positionComfort', 'stressDuring'
+    ].forEach(name => setValue(name, t[name]));
+    setValue('exitReason', t.exitReason === 'N/A' ? '' : t.exitReason);
+
+    const strategySelect = document.getElementById('addTradeStrategySelect');
+    const knownStrategy = Array.from(strategySelect.options).some(o => o.value === t.strategy);
+    const otherStrategyGroup = document.getElementById('otherStrategyGroup');
+    if (t.strategy && !knownStrategy) {
+      strategySelect.value = 'Other';
+      setValue('other_strategy', t.strategy === 'Other (unspecified)' ? '' : t.strategy);
+      otherStrategyGroup.classList.remove('hidden');
+    } else {
+      strategySelect.value = t.strategy || '';
+      otherStrategyGroup.classList.add('hidden');
+    }
+
+    ['multiTimeframes', 'technicalConfluence', 'economicEvents', 'personalDistractions', 'waitedForSetup', 'wouldTakeAgain'].forEach(name => setChecked(name, t[name] || []));
+    this.renderRulebookChecklist(t.followedRules || []);
+
+    document.getElementById('tradeLegsContainer').innerHTML = '';
+    (t.legs || []).forEach(leg => this.addTradeLegRow(leg));
+    if (t.legs && t.legs.length > 0) document.getElementById('legsSection').open = true;
+    this.syncLegsToForm();
+
+    form.querySelectorAll('.range-input').forEach(slider => {
+      const display = slider.parentElement.querySelector('.range-value');
+      if (display) display.textContent = slider.value;
+    });
+    this.updateCalculations();
+  }
+
+  async deleteTrade(id) {
+    const t = this.trades.find(tr => tr.id === id);
+    if (!t) return;
+    if (!window.confirm(`Delete this ${t.symbol} trade from ${this.formatDate(t.entryDate)}? This cannot be undone.`)) return;
+
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('trades').doc(id).delete();
+      await this.deleteTradeAttachments(t.attachments || []);
+      this.allTrades = this.allTrades.filter(tr => tr.id !== id);
+      this.hideTradeModal();
+      this.showToast('Trade deleted.', 'info');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      this.showToast(`Error deleting trade: ${error.message}`, 'error');
+      console.error("[DATA] Error deleting trade:", error);
+    }
+  }
+
+  /* ---------------------------- HISTORY ------------------------------- */
+  renderHistory() {
+    const container = document.getElementById('historyContent');
+    const summary = document.getElementById('historySummary');
+    if (this.trades.length === 0) {
+      container.innerHTML = '<div class="empty-state">No trades recorded yet.</div>';
+      summary.innerHTML = '';
+      this.historyRows = [];
+      this.historySelection.clear();
+      this.renderBulkActions();
+      return;
+    }
+    const fillOptions = (id, placeholder, values) => {
+      document.getElementById(id).innerHTML = `<option value="">${placeholder}</option>` + values.map(v => `<option value="${v}">${v}</option>`).join('');
+    };
+    const formOptions = name => [...document.querySelectorAll(`#addTradeForm [name="${name}"] option`)].map(o => o.value).filter(Boolean);
+    fillOptions('symbolFilter', 'All Symbols', [...new Set(this.trades.map(t => t.symbol))]);
+    fillOptions('strategyFilter', 'All Strategies', [...new Set(this.trades.map(t => t.strategy))]);
+    document.getElementById('bulkStrategyOptions').innerHTML = [...new Set(this.allTrades.map(t => t.strategy).filter(Boolean))].map(s => `<option value="${this.escapeHtml(s)}">`).join('');
+    fillOptions('underlyingFilter', 'All Underlyings', [...new Set(this.trades.map(t => this.getUnderlying(t)))]);
+    fillOptions('tagFilter', 'All Tags', this.getAllTags());
+    fillOptions('preEmotionFilter', 'Any', formOptions('preEmotion'));
+    fillOptions('postEmotionFilter', 'Any', formOptions('postEmotion'));
+    fillOptions('exitReasonFilter', 'Any', formOptions('exitReason'));
+    fillOptions('marketSessionFilter', 'Any', formOptions('marketSession'));
+    const ruleTitles = this.allRules.map(r => r.title);
+    document.getElementById('ruleFilter').innerHTML = '<option value="">Any</option><option value="all">All rules followed</option><option value="any-broken">Any rule broken</option>' +
+      ruleTitles.map(r => `<option value="+${r}">Followed: ${r}</option><option value="-${r}">Broken: ${r}</option>`).join('');
+    const fieldFilter = document.getElementById('customFieldFilter');
+    const fieldValueFilter = document.getElementById('customFieldValueFilter');
+    fieldFilter.innerHTML = '<option value="">Custom Field</option>' + this.customFields.map(f => `<option value="${f.id}">${f.label}</option>`).join('');
+    fieldFilter.classList.toggle('hidden', this.customFields.length === 0);
+    const renderFieldValues = () => {
+      const values = fieldFilter.value ? [...new Set(this.trades.flatMap(t => this.getTradeDimensionValues(t, fieldFilter.value)))] : [];
+      fieldValueFilter.innerHTML = '<option value="">Any Value</option>' + values.map(v => `<option value="${v}">${v}</option>`).join('');
+      fieldValueFilter.classList.toggle('hidden', !fieldFilter.value);
+    };
+
+    // The URL is the source of truth, so re-renders and bookmarks keep the same filtered view.
+    const controls = [...document.querySelectorAll('#history [data-filter]')];
+    const urlFilters = this.getHistoryFiltersFromUrl();
+    controls.forEach(el => {
+      el.value = urlFilters[el.dataset.filter] || '';
+      if (el === fieldFilter) renderFieldValues();
+    });
+    const advanced = document.getElementById('historyAdvancedFilters');
+    if (controls.some(el => el.closest('#historyAdvancedFilters') && el.value)) advanced.open = true;
+
+    const applyFilters = () => {
+      const filters = Object.fromEntries(controls.filter(el => el.value !== '').map(el => [el.dataset.filter, el.value]));
+      if (!filters.field) delete filters.fieldValue;
+      this.setHistoryFiltersInUrl(filters);
+      this.historyRows = this.trades.filter(t => this.matchesHistoryFilters(t, filters));
+      // Never act on trades the user can no longer see.
+      const visible = new Set(this.historyRows.map(t => t.id));
+      this.historySelection.forEach(id => visible.has(id) || this.historySelection.delete(id));
+      renderSummary(this.historyRows, Object.keys(filters).length);
+      this.renderSavedViewControls('history');
+      this.renderHistoryTable();
+    };
+    const filterChanged = () => {
+      this.historyView.page = 1;
+      applyFilters();
+    };
+    controls.forEach(el => {
+      el.onchange = filterChanged;
+      if (el.type === 'number') el.oninput = filterChanged;
+    });
+    fieldFilter.onchange = () => {
+      renderFieldValues();
+      filterChanged();
+    };
+    document.getElementById('clearHistoryFilters').onclick = () => {
+      controls.forEach(el => (el.value = ''));
+      renderFieldValues();
+      filterChanged();
+    };
+    const renderSummary = (rows, activeCount) => {
+      const closed = this.getRealizedTrades(rows);
+      const net = closed.reduce((sum, t) => sum + (t.netPL || 0), 0);
+      const winRate = closed.length ? Math.round(closed.filter(t => t.netPL > 0).length / closed.length * 100) : 0;
+      summary.innerHTML = `
+        <span><strong>${rows.length}</strong> trade${rows.length === 1 ? '' : 's'}${activeCount ? ` matching ${activeCount} filter${activeCount === 1 ? '' : 's'}` : ''}</span>
+        <span>Net P&L <strong class="${net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(net)}</strong></span>
+        <span>Win rate <strong>${winRate}%</strong></span>`;
+    };
+    applyFilters();
+  }
+
+  getHistoryColumns() {
+    const custom = this.customFields.map(f => ({ key: `cf_${f.id}`, label: f.label, group: 'Custom Fields' }));
+    return [...HISTORY_COLUMNS, ...custom];
+  }
+
+  getHistoryCellValue(t, key) {
+    switch (key) {
+      case 'underlying': return this.getUnderlying(t);
+      case 'accountId': return this.getAccountName(t.accountId);
+      case 'charges': return t.charges?.total ?? null;
+      case 'rMultiple': return this.getRMultiple(t);
+      case 'holdingMinutes': return this.getHoldingMinutes(t);
+      case 'holdingType': return { intraday: 'Intraday', carry_forward: 'Carry-forward' }[this.getHoldingType(t)] || '';
+      case 'netPL': return t.status === 'open' ? null : t.netPL;
+      default: {
+        if (!key.startsWith('cf_')) return t[key];
+        const field = this.customFields.find(f => f.id === key.slice(3));
+        return field ? this.formatCustomFieldValue(field, t.customFields?.[field.id]) : '';
+      }
+    }
+  }
+
+  renderHistoryCell(t, column) {
+    const value = this.getHistoryCellValue(t, column.key);
+    const blank = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    switch (column.type) {
+      case 'symbol':
+        return `${t.symbol}${t.legs?.length ? ` <span class="legs-badge">${t.legs.length} legs</span>` : ''}`;
+      case 'quantity':
+        return `${t.quantity}${t.remainingQuantity ? ` <small>(${t.remainingQuantity} open)</small>` : ''}`;
+      case 'strategy':
+        return `${t.strategy || ''}${t.tags?.length ? `<div>${this.renderTagBadges(t.tags)}</div>` : ''}`;
+      case 'direction':
+        return `<span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span>`;
+      case 'pl':
+        return t.status === 'open' ? '<span class="status-badge open">Open</span>' : this.formatCurrency(t.netPL);
+      default:
+        break;
+    }
+    if (blank) return '—';
+    switch (column.type) {
+      case 'date': return this.formatDate(value);
+      case 'currency': return this.formatCurrency(value);
+      case 'segment': return TRADE_SEGMENTS[value] || value;
+      case 'r': return `${value.toFixed(2)}R`;
+      case 'number': return Number.isInteger(value) ? value : Number(value).toFixed(2);
+      case 'duration': return this.formatDuration(value);
+      case 'list': return value.join(', ');
+      default: return value;
+    }
+  }
+
+  sortHistory(key) {
+    const { sort } = this.historyView;
+    this.historyView.sort = { key, desc: sort.key === key ? !sort.desc : ['date', 'currency', 'pl', 'r', 'number', 'duration'].includes(HISTORY_COLUMNS.find(c => c.key === key)?.type) };
+    this.historyView.page = 1;
+    this.renderHistoryTable();
+  }
+
+  setHistoryPage(page) {
+    this.historyView.page = page;
+    this.renderHistoryTable();
+    document.getElementById('historyContent').scrollIntoView?.({ block: 'start' });
+  }
+
+  // Sorts the filtered rows and renders one page of them, so the DOM stays small for large journals.
+  renderHistoryTable() {
+    const container = document.getElementById('historyContent');
+    const rows = this.historyRows || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state">No trades match filter.</div>';
+      this.renderBulkActions();
+      return;
+    }
+    const allColumns = this.getHistoryColumns();
+    const columns = this.historyTable.columns.map(key => allColumns.find(c => c.key === key)).filter(Boolean);
+    const { sort } = this.historyView;
+    const sortValue = t => {
+      const value = this.getHistoryCellValue(t, sort.key);
+      return Array.isArray(value) ? value.join(', ') : value;
+    };
+    // Blank values always sort last, whichever the direction.
+    const sorted = rows.map(t => ({ t, v: sortValue(t) })).sort((a, b) => {
+      const aBlank = a.v === null || a.v === undefined || a.v === '';
+      const bBlank = b.v === null || b.v === undefined || b.v === '';
+      if (aBlank || bBlank) return aBlank - bBlank;
+      const cmp = typeof a.v === 'number' && typeof b.v === 'number' ? a.v - b.v : String(a.v).localeCompare(String(b.v), undefined, { numeric: true });
+      return sort.desc ? -cmp : cmp;
+    }).map(r => r.t);
+    const pageSize = this.historyTable.pageSize;
+    const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+    const page = Math.min(Math.max(1, this.historyView.page), pages);
+    this.historyView.page = page;
+    const pageRows = sorted.slice((page - 1) * pageSize, page * pageSize);
+    this.historyPageIds = pageRows.map(t => t.id);
+    const plClass = t => t.status === 'open' ? '' : t.netPL >= 0 ? 'positive' : 'negative';
+
+    container.innerHTML = `
+      <details class="collapse-card history-stats"><summary>Statistics for these ${rows.length} trades</summary><div class="collapse-content">${this.renderStatsGrid(this.calculateStatsForTrades(rows))}</div></details>
+      <div class="card history-table-wrap"><table class="trade-table history-table"><thead>
+        <tr><th class="select-col"><input type="checkbox" id="historySelectPage" title="Select this page" onchange="app.toggleHistoryPageSelection(this.checked)"></th>${columns.map(c => `<th class="sortable" onclick="app.sortHistory('${c.key}')">${c.label}${sort.key === c.key ? (sort.desc ? ' ▼' : ' ▲') : ''}</th>`).join('')}</tr>
+      </thead><tbody>
+        ${pageRows.map(t => `
+          <tr onclick="app.showTradeDetails('${t.id}')" class="${this.historySelection.has(t.id) ? 'selected' : ''}">
+            <td class="select-col" onclick="event.stopPropagation()"><input type="checkbox" ${this.historySelection.has(t.id) ? 'checked' : ''} onchange="app.toggleHistorySelection('${t.id}', this.checked)"></td>
+            ${columns.map(c => `<td data-label="${c.label}"${c.type === 'pl' ? ` class="${plClass(t)}"` : ''}>${this.renderHistoryCell(t, c)}</td>`).join('')}
+          </tr>`).join('')}
+      </tbody></table></div>
+      <div class="history-pagination">
+        <span>Showing ${(page - 1) * pageSize + 1}-${Math.min(page * pageSize, sorted.length)} of ${sorted.length}</span>
+        <div>
+          <button class="btn btn--outline btn--sm" onclick="app.setHistoryPage(${page - 1})" ${page === 1 ? 'disabled' : ''}>Previous</button>
+          <span>Page ${page} of ${pages}</span>
+          <button class="btn btn--outline btn--sm" onclick="app.setHistoryPage(${page + 1})" ${page === pages ? 'disabled' : ''}>Next</button>
+          <select class="form-control history-page-size" onchange="app.saveHistoryTablePrefs({ pageSize: Number(this.value) })">
+            ${[25, 50, 100, 250].map(n => `<option value="${n}" ${n === pageSize ? 'selected' : ''}>${n} / page</option>`).join('')}
+          </select>
+        </div>
+      </div>`;
+    this.renderBulkActions();
+  }
+
+  /* ---------------------------- BULK ACTIONS ------------------------------- */
+  getSelectedTrades() {
+    return this.trades.filter(t => this.historySelection.has(t.id));
+  }
+
+  toggleHistorySelection(id, checked) {
+    if (checked) this.historySelection.add(id);
+    else this.historySelection.delete(id);
+    document.querySelectorAll('#historyContent tbody input[type="checkbox"]').forEach(box => box.closest('tr').classList.toggle('selected', box.checked));
+    this.renderBulkActions();
+  }
+
+  toggleHistoryPageSelection(checked) {
+    (this.historyPageIds || []).forEach(id => (checked ? this.historySelection.add(id) : this.historySelection.delete(id)));
+    this.renderHistoryTable();
+  }
+
+  selectAllHistoryRows() {
+    (this.historyRows || []).forEach(t => this.historySelection.add(t.id));
+    this.renderHistoryTable();
+  }
+
+  clearHistorySelection() {
+    this.historySelection.clear();
+    this.renderHistoryTable();
+  }
+
+  renderBulkActions() {
+    const count = this.historySelection.size;
+    const total = (this.historyRows || []).length;
+    document.getElementById('bulkActions').classList.toggle('hidden', count === 0);
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+    const selectAll = document.getElementById('bulkSelectAll');
+    selectAll.textContent = `Select all ${total} matching`;
+    selectAll.classList.toggle('hidden', count >= total);
+    document.getElementById('bulkAccountGroup').classList.toggle('hidden', this.allAccounts.length === 0);
+    const pageBox = document.getElementById('historySelectPage');
+    if (pageBox) {
+      const onPage = (this.historyPageIds || []).filter(id => this.historySelection.has(id)).length;
+      pageBox.checked = onPage > 0 && onPage === this.historyPageIds.length;
+      pageBox.indeterminate = onPage > 0 && onPage < this.historyPageIds.length;
+    }
+  }
+
+  // Firestore caps a batch at 500 writes, so large selections are committed in chunks.
+  // Local state follows each chunk, so a failure part-way leaves it matching what was written.
+  async writeTradeBatches(ops) {
+    const tradesRef = this.db.collection('users').doc(this.currentUser.uid).collection('trades');
+    for (let i = 0; i < ops.length; i += 450) {
+      const chunk = ops.slice(i, i + 450);
+      const batch = this.db.batch();
+      chunk.forEach(op => {
+        const ref = tradesRef.doc(op.id);
+        if (op.type === 'delete') batch.delete(ref);
+        else if (op.type === 'set') batch.set(ref, op.data);
+        else batch.update(ref, { ...op.data, updatedAt: firebase.firestore.FieldValue.serverTimestamp() });
+      });
+      await batch.commit();
+      chunk.forEach(op => {
+        if (op.type === 'delete') {
+          this.allTrades = this.allTrades.filter(t => t.id !== op.id);
+        } else if (op.type === 'set') {
+          this.allTrades.push({ id: op.id, ...op.data });
+        } else {
+          const index = this.allTrades.findIndex(t => t.id === op.id);
+          if (index > -1) this.allTrades[index] = { ...this.allTrades[index], ...op.data };
+        }
+      });
+    }
+    this.allTrades.sort((a, b) => new Date(b.entryDate) - new Date(a.entryDate));
+  }
+
+  /**
+   * Applies `changesFor(trade)` to every selected trade and offers to put the old values back.
+   * @param {string} description - What changed, e.g. 'Strategy set to "Breakout"'.
+   * @param {function(object): ?object} changesFor - Fields to write for a trade, or null to leave it alone.
+   */
+  async bulkUpdateTrades(description, changesFor) {
+    const updates = this.getSelectedTrades().map(t => ({ t, data: changesFor(t) })).filter(u => u.data);
+    if (updates.length === 0) {
+      this.showToast('Nothing to change on the selected trades.', 'info');
+      return;
+    }
+    const previous = updates.map(({ t, data }) => ({
+      type: 'update',
+      id: t.id,
+      data: Object.fromEntries(Object.keys(data).map(key => [key, t[key] ?? null]))
+    }));
+    try {
+      await this.writeTradeBatches(updates.map(({ t, data }) => ({ type: 'update', id: t.id, data })));
+      this.showUndoToast(`${description} on ${updates.length} trade${updates.length === 1 ? '' : 's'}.`, async () => {
+        try {
+          await this.writeTradeBatches(previous);
+          this.showToast('Change undone.', 'info');
+        } catch (error) {
+          console.error('[DATA] Error undoing bulk update:', error);
+          this.showToast(`Could not undo: ${error.message}`, 'error');
+        } finally {
+          document.dispatchEvent(new CustomEvent('data-changed'));
+        }
+      });
+    } catch (error) {
+      console.error('[DATA] Bulk update error:', error);
+      this.showToast(`Bulk update stopped part-way: ${error.message}`, 'error');
+    } finally {
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    }
+  }
+
+  bulkSetStrategy() {
+    const strategy = document.getElementById('bulkStrategy').value.trim();
+    if (!strategy) {
+      this.showToast('Enter a strategy to apply.', 'warning');
+      return;
+    }
+    return this.bulkUpdateTrades(`Strategy set to "${strategy}"`, t => (t.strategy === strategy ? null : { strategy }));
+  }
+
+  bulkUpdateTags(mode) {
+    const tags = this.parseTags(document.getElementById('bulkTag').value);
+    if (tags.length === 0) {
+      this.showToast('Enter a tag first.', 'warning');
+      return;
+    }
+    const keys = tags.map(tag => tag.toLowerCase());
+    const label = `Tag${tags.length === 1 ? '' : 's'} ${tags.join(', ')} ${mode === 'add' ? 'added' : 'removed'}`;
+    return this.bulkUpdateTrades(label, t => {
+      const current = t.tags || [];
+      const next = mode === 'add' ? this.parseTags([...current, ...tags].join(',')) : current.filter(tag => !keys.includes(tag.toLowerCase()));
+      return next.length === current.length ? null : { tags: next };
+    });
+  }
+
+  bulkSetAccount() {
+    const accountId = document.getElementById('bulkAccount').value;
+    const name = this.getAccountName(accountId) || 'No account';
+    return this.bulkUpdateTrades(`Account set to ${name}`, t => ((t.accountId || '') === accountId ? null : { accountId }));
+  }
+
+  // Deleted trades are kept in memory for the undo; their attachments stay in Storage until the undo window closes.
+  async bulkDeleteTrades() {
+    const selected = this.getSelectedTrades();
+    if (selected.length === 0) return;
+    if (!window.confirm(`Delete ${selected.length} selected trade${selected.length === 1 ? '' : 's'}?`)) return;
+    try {
+      await this.queueAttachmentCleanup(selected.flatMap(t => t.attachments || []));
+      await this.writeTradeBatches(selected.map(t => ({ type: 'delete', id: t.id })));
+    } catch (error) {
+      console.error('[DATA] Bulk delete error:', error);
+      this.showToast(`Bulk delete stopped part-way: ${error.message}`, 'error');
+    }
+    const deleted = selected.filter(t => !this.allTrades.some(a => a.id === t.id));
+    this.historySelection.clear();
+    document.dispatchEvent(new CustomEvent('data-changed'));
+    if (deleted.length === 0) return;
+    this.showUndoToast(`Deleted ${deleted.length} trade${deleted.length === 1 ? '' : 's'}.`, async () => {
+      try {
+        await this.writeTradeBatches(deleted.map(({ id, ...data }) => ({ type: 'set', id, data })));
+        this.showToast(`Restored ${deleted.length} trade${deleted.length === 1 ? '' : 's'}.`, 'success');
+      } catch (error) {
+        console.error('[DATA] Error restoring deleted trades:', error);
+        this.showToast(`Could not restore every trade: ${error.message}`, 'error');
+      } finally {
+        document.dispatchEvent(new CustomEvent('data-changed'));
+      }
+    }, () => this.runAttachmentCleanup());
+  }
+
+  exportSelectedTrades() {
+    this.exportCSV(this.getSelectedTrades(), 'trading_journal_selection.csv');
+  }
+
+  /* ---------------------------- SAVED VIEWS ------------------------------- */
+  // Analytics selects a saved view carries along with its filters.
+  readAnalyticsControls() {
+    return Object.fromEntries(ANALYTICS_VIEW_CONTROLS.map(id => [id, document.getElementById(id).value]));
+  }
+
+  // Options are rebuilt on render, so a value that isn't listed yet is added first and the
+  // render then keeps it if it is still valid (a custom field may have been deleted since).
+  applyAnalyticsControls(values = {}) {
+    ANALYTICS_VIEW_CONTROLS.forEach(id => {
+      const select = document.getElementById(id);
+      const value = values[id];
+      if (value === undefined) return;
+      if (![...select.options].some(o => o.value === value)) select.add(new Option(value, value));
+      select.value = value;
+    });
+  }
+
+  isSameFilters(a, b) {
+    const key = f => JSON.stringify(Object.entries(f || {}).sort());
+    return key(a) === key(b);
+  }
+
+  // The history dropdown shows whichever view matches the current filters, so editing a filter deselects it.
+  getActiveView(scope) {
+    if (scope === 'analytics') return this.analyticsView;
+    const filters = this.getHistoryFiltersFromUrl();
+    return this.allViews.find(v => this.isSameFilters(v.filters, filters)) || null;
+  }
+
+  renderSavedViewControls(scope) {
+    const container = document.getElementById(`${scope}SavedViews`);
+    const active = this.getActiveView(scope);
+    container.innerHTML = `
+      <select class="form-control" onchange="app.applyView('${scope}', this.value)">
+        <option value="">${scope === 'analytics' ? 'All trades' : 'Saved views'}</option>
+        ${this.allViews.map(v => `<option value="${v.id}" ${active?.id === v.id ? 'selected' : ''}>${this.escapeHtml(v.name)}</option>`).join('')}
+      </select>
+      <button class="btn btn--outline btn--sm" onclick="app.saveView('${scope}')">Save view</button>
+      ${active ? `
+        <button class="btn btn--outline btn--sm" onclick="app.toggleViewPinned('${active.id}')">${active.pinned ? 'Unpin' : 'Pin to dashboard'}</button>
+        <button class="btn btn--danger btn--sm" onclick="app.deleteView('${active.id}')">Delete view</button>` : ''}`;
+  }
+
+  applyView(scope, id) {
+    const view = this.allViews.find(v => v.id === id) || null;
+    if (scope === 'analytics') {
+      this.analyticsView = view;
+      if (view) this.applyAnalyticsControls(view.analytics);
+    } else {
+      this.setHistoryFiltersInUrl(view ? view.filters : {});
+      this.historyView.page = 1;
+    }
+    this.showSection(scope);
+  }
+
+  // History saves its current filters; analytics re-saves the filters of the view it is showing.
+  // Saving under an existing name updates that view in place.
+  async saveView(scope) {
+    const active = this.getActiveView(scope);
+    const name = (window.prompt('Name this view', active?.name || '') || '').trim();
+    if (!name) return;
+    const existing = this.allViews.find(v => v.name.toLowerCase() === name.toLowerCase());
+    const data = {
+      name,
+      filters: scope === 'analytics' ? { ...(this.analyticsView?.filters || {}) } : this.getHistoryFiltersFromUrl(),
+      analytics: this.readAnalyticsControls(),
+      pinned: existing?.pinned || false
+    };
+    const viewsRef = this.db.collection('users').doc(this.currentUser.uid).collection('views');
+    try {
+      if (existing) {
+        await viewsRef.doc(existing.id).update({ ...data, updatedAt: firebase.firestore.FieldValue.serverTimestamp() });
+        Object.assign(existing, data);
+      } else {
+        const ref = await viewsRef.add({ ...data, createdAt: firebase.firestore.FieldValue.serverTimestamp() });
+        this.allViews.push({ id: ref.id, ...data });
+      }
+      if (scope === 'analytics') this.analyticsView = existing || this.allViews[this.allViews.length - 1];
+      this.showToast(`View "${name}" saved.`, 'success');
+      this.renderSavedViewControls(scope);
+    } catch (error) {
+      console.error('[DATA] Error saving view:', error);
+      this.showToast(`Could not save view: ${error.message}`, 'error');
+    }
+  }
+
+  async toggleViewPinned(id) {
+    const view = this.allViews.find(v => v.id === id);
+    if (!view) return;
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('views').doc(id).update({ pinned: !view.pinned });
+      view.pinned = !view.pinned;
+      this.showToast(view.pinned ? `"${view.name}" pinned to the dashboard.` : `"${view.name}" unpinned.`, 'info');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      console.error('[DATA] Error pinning view:', error);
+      this.showToast(`Could not update view: ${error.message}`, 'error');
+    }
+  }
+
+  async deleteView(id) {
+    const view = this.allViews.find(v => v.id === id);
+    if (!view || !window.confirm(`Delete the saved view "${view.name}"? Trades are not affected.`)) return;
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('views').doc(id).delete();
+      this.allViews = this.allViews.filter(v => v.id !== id);
+      if (this.analyticsView?.id === id) this.analyticsView = null;
+      this.showToast('View deleted.', 'info');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      console.error('[DATA] Error deleting view:', error);
+      this.showToast(`Could not delete view: ${error.message}`, 'error');
+    }
+  }
+
+  renderPinnedViews() {
+    const container = document.getElementById('pinnedViews');
+    const pinned = this.allViews.filter(v => v.pinned);
+    container.classList.toggle('hidden', pinned.length === 0);
+    container.innerHTML = pinned.map(v => {
+      const trades = this.trades.filter(t => this.matchesHistoryFilters(t, v.filters));
+      const s = this.calculateStatsForTrades(trades);
+      const open = trades.filter(t => t.status === 'open').length;
+      return `
+        <div class="pinned-view card">
+          <div class="pinned-view__header">
+            <h4>${this.escapeHtml(v.name)}</h4>
+            <div>
+              <button class="view-all-link" onclick="app.applyView('history', '${v.id}')">History</button>
+              <button class="view-all-link" onclick="app.applyView('analytics', '${v.id}')">Analytics</button>
+            </div>
+          </div>
+          <div class="pinned-view__pl ${s.totalPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(s.totalPL)}</div>
+          <div class="pinned-view__stats">
+            <span>${s.totalTrades} closed${open ? ` · ${open} open` : ''}</span>
+            <span>Win rate ${s.winRate}%</span>
+            <span>PF ${s.profitFactor === null ? (s.grossProfit > 0 ? '∞' : 'n/a') : s.profitFactor.toFixed(2)}</span>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  toggleColumnChooser() {
+    const panel = document.getElementById('historyColumnChooser');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) this.renderColumnChooser();
+  }
+
+  renderColumnChooser() {
+    const panel = document.getElementById('historyColumnChooser');
+    const groups = {};
+    this.getHistoryColumns().forEach(c => (groups[c.group] = groups[c.group] || []).push(c));
+    panel.innerHTML = `
+      ${Object.entries(groups).map(([group, columns]) => `
+        <fieldset><legend>${group}</legend>
+          ${columns.map(c => `<label><input type="checkbox" value="${c.key}" ${this.historyTable.columns.includes(c.key) ? 'checked' : ''} onchange="app.updateHistoryColumns()"> ${c.label}</label>`).join('')}
+        </fieldset>`).join('')}
+      <div class="column-chooser__actions"><button class="btn btn--outline btn--sm" onclick="app.resetHistoryColumns()">Reset to default</button></div>`;
+  }
+
+  // Keeps the chosen order for columns already shown and appends new ones in catalogue order.
+  updateHistoryColumns() {
+    const checked = [...document.querySelectorAll('#historyColumnChooser input:checked')].map(el => el.value);
+    if (checked.length === 0) {
+      this.showToast('Keep at least one column.', 'warning');
+      this.renderColumnChooser();
+      return;
+    }
+    const kept = this.historyTable.columns.filter(key => checked.includes(key));
+    this.saveHistoryTablePrefs({ columns: [...kept, ...checked.filter(key => !kept.includes(key))] });
+  }
+
+  resetHistoryColumns() {
+    this.saveHistoryTablePrefs({ columns: DEFAULT_HISTORY_COLUMNS });
+    this.renderColumnChooser();
+  }
+
+  async saveHistoryTablePrefs(changes) {
+    this.historyTable = { ...this.historyTable, ...changes };
+    if (changes.pageSize) this.historyView.page = 1;
+    this.renderHistoryTable();
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('historyTable').set({
+        columns: this.historyTable.columns,
+        pageSize: this.historyTable.pageSize,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      console.error('[DATA] Error saving history table preferences:', error);
+      this.showToast(`Could not save table preferences: ${error.message}`, 'error');
+    }
+  }
+
+  // History filters live in the hash (#history?symbol=X&from=2025-01-01) so the search string stays free for app flags.
+  getHistoryFiltersFromUrl() {
+    const [section, query] = window.location.hash.slice(1).split('?');
+    return section === 'history' && query ? Object.fromEntries(new URLSearchParams(query)) : {};
+  }
+
+  setHistoryFiltersInUrl(filters) {
+    const query = new URLSearchParams(filters).toString();
+    const hash = query ? `#history?${query}` : '';
+    if (window.location.hash !== hash) window.history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+  }
+
+  // Relative periods keep saved views current: "this month" is always the month the view is opened in.
+  getPeriodRange(period) {
+    const today = new Date();
+    const key = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    switch (period) {
+      case 'today': return { from: key(today), to: key(today) };
+      case 'this-week': return { from: key(new Date(year, month, today.getDate() - (today.getDay() + 6) % 7)), to: key(today) };
+      case 'this-month': return { from: key(new Date(year, month, 1)), to: key(today) };
+      case 'last-month': return { from: key(new Date(year, month - 1, 1)), to: key(new Date(year, month, 0)) };
+      case 'last-30': return { from: key(new Date(year, month, today.getDate() - 29)), to: key(today) };
+      case 'this-year': return { from: `${year}-01-01`, to: key(today) };
+      default: return null;
+    }
+  }
+
+  // Every active filter must match (AND). Range filters exclude trades without the value.
+  matchesHistoryFilters(t, f) {
+    const num = v => v === undefined ? null : parseFloat(v);
+    const inRange = (value, min, max) => (min === null && max === null) ||
+      (value !== null && value !== undefined && (min === null || value >= min) && (max === null || value <= max));
+    const date = (t.entryDate || '').slice(0, 10);
+    const period = f.period ? this.getPeriodRange(f.period) : null;
+    const closed = t.status !== 'open';
+    const rules = t.followedRules || [];
+    const ruleMatch = () => {
+      if (!f.rule) return true;
+      if (f.rule === 'all') return this.allRules.every(r => rules.includes(r.title));
+      if (f.rule === 'any-broken') return this.allRules.some(r => !rules.includes(r.title));
+      return f.rule.startsWith('+') ? rules.includes(f.rule.slice(1)) : !rules.includes(f.rule.slice(1));
+    };
+    const outcomeMatch = () => {
+      switch (f.outcome) {
+        case 'win': return closed && t.netPL > 0;
+        case 'loss': return closed && t.netPL < 0;
+        case 'breakeven': return closed && !t.netPL;
+        case 'open': return !closed;
+        default: return true;
+      }
+    };
+    return (!f.symbol || t.symbol === f.symbol) &&
+      (!f.strategy || t.strategy === f.strategy) &&
+      (!f.underlying || this.getUnderlying(t) === f.underlying) &&
+      (!f.instrument || (t.instrumentType || 'equity') === f.instrument) &&
+      (!f.tag || (t.tags || []).some(tag => tag.toLowerCase() === f.tag.toLowerCase())) &&
+      (!f.fieldValue || this.getTradeDimensionValues(t, f.field).includes(f.fieldValue)) &&
+      (!f.from || date >= f.from) &&
+      (!f.to || date <= f.to) &&
+      (!period || (date >= period.from && date <= period.to)) &&
+      (!f.direction || t.direction === f.direction) &&
+      outcomeMatch() &&
+      inRange(closed ? t.netPL : null, num(f.plMin), num(f.plMax)) &&
+      inRange(this.getRMultiple(t), num(f.rMin), num(f.rMax)) &&
+      (!f.preEmotion || t.preEmotion === f.preEmotion) &&
+      (!f.postEmotion || t.postEmotion === f.postEmotion) &&
+      (!f.exitReason || t.exitReason === f.exitReason) &&
+      (!f.marketSession || t.marketSession === f.marketSession) &&
+      ruleMatch();
+  }
+
+  /* -------------------------- MODAL & DETAILS ------------------------------ */
+  showTradeDetails(id) {
+    const t = this.trades.find(tr => tr.id === id);
+    if (!t) return;
+    this.currentViewingTradeId = id;
+    document.getElementById('closePositionBtn').classList.toggle('hidden', t.status !== 'open');
+    const rrText = t.riskRewardRatio ? t.riskRewardRatio.toFixed(2) : '0.00';
+
+    let followedRulesHtml = '';
+    if (t.followedRules && t.followedRules.length > 0) {
+      followedRulesHtml = `
+            <div style="margin-top:16px;">
+                <strong>Followed Rules:</strong>
+                <ul style="padding-left: 20px; margin-top: 8px;">
+                    ${t.followedRules.map(rule => `<li>${rule}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    const body = document.getElementById('tradeModalBody');
+    body.innerHTML = `<div class="trade-detail-grid">
       <div class="trade-detail-item"><div class="trade-detail-label">Symbol</div><div class="trade-detail-value">${t.symbol}</div></div>
       <div class="trade-detail-item"><div class="trade-detail-label">Direction</div><div class="trade-detail-value"><span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span></div></div>
-      <div class="trade-detail-item"><div class="trade-detail-label">Quantity</div><div class="trade-detail-value">${t.quantity}</div></div>
-      <div class="trade-detail-item"><div class="trade-detail-label">Entry Price</div><div class="trade-detail-value">${this.formatCurrency(t.entryPrice)}</div></div>
-      <div class="trade-detail-item"><div class="trade-detail-label">Exit Price</div><div class="trade-detail-value">${this.formatCurrency(t.exitPrice)}</div></div>
+      ${t.accountId ? `<div class="trade-detail-item"><div class="trade-detail-label">Account</div><div class="trade-detail-value">${this.getAccountName(t.accountId) || '—'}</div></div>` : ''}
+      <div class="trade-detail-item"><div class="trade-detail-label">Instrument</div><div class="trade-detail-value">${INSTRUMENT_TYPES[t.instrumentType] || 'Equity'}${t.underlying ? ` · ${t.underlying}` : ''}${t.expiry ? ` · ${this.formatDate(t.expiry)}` : ''}</div></div>
+      <div class="trade-detail-item"><div class="trade-detail-label">${TradeMetrics.getContractFactor(t) !== 1 ? `Quantity (lots × ${TradeMetrics.getContractFactor(t)})` : 'Quantity'}</div><div class="trade-detail-value">${t.quantity}</div></div>
+      ${TradeMetrics.calculateInitialRisk(t) ? `<div class="trade-detail-item"><div class="trade-detail-label">Initial Risk (1R)</div><div class="trade-detail-value">${this.formatCurrency(TradeMetrics.calculateInitialRisk(t))}</div></div>` : ''}
+      ${t.mae !== null && t.mae !== undefined ? `<div class="trade-detail-item"><div class="trade-detail-label">MAE</div><div class="trade-detail-value negative">${this.formatCurrency(-t.mae)} <small>(@ ${t.maePrice})</small></div></div>` : ''}
+      ${t.mfe !== null && t.mfe !== undefined ? `<div class="trade-detail-item"><div class="trade-detail-label">MFE</div><div class="trade-detail-value positive">${this.formatCurrency(t.mfe)} <small>(@ ${t.mfePrice})</small></div></div>` : ''}
+      ${this.getHoldingMinutes(t) !== null ? `<div class="trade-detail-item"><div class="trade-detail-label">Held</div><div class="trade-detail-value">${this.formatDuration(this.getHoldingMinutes(t))} <small>(${this.getHoldingType(t) === 'intraday' ? 'Intraday' : 'Carry-forward'})</small></div></div>` : ''}
+      ${this.getRMultiple(t) !== null ? `<div class="trade-detail-item"><div class="trade-detail-label">R-Multiple</div><div class="trade-detail-value ${this.getRMultiple(t) >= 0 ? 'positive' : 'negative'}">${this.getRMultiple(t).toFixed(2)}R</div></div>` : ''}
+      ${t.instrumentType === 'option' && t.strike ? `<div class="trade-detail-item"><div class="trade-detail-label">Max Risk</div><div class="trade-detail-value">${t.maxRisk === null ? 'Unlimited' : this.formatCurrency(t.maxRisk)}</div></div>` : ''}
+      <div class="trade-detail-item"><div class="trade-detail-label">${t.legs?.length ? 'Avg Entry' : 'Entry Price'}</div><div class="trade-detail-value">${this.formatCurrency(t.entryPrice)}</div></div>
+      <div class="trade-detail-item"><div class="trade-detail-label">${t.legs?.length ? 'Avg Exit' : 'Exit Price'}</div><div class="trade-detail-value">${t.exitPrice === null || t.exitPrice === undefined ? '—' : this.formatCurrency(t.exitPrice)}</div></div>
+      ${t.remainingQuantity ? `<div class="trade-detail-item"><div class="trade-detail-label">Remaining Position</div><div class="trade-detail-value">${t.remainingQuantity}</div></div>` : ''}
       <div class="trade-detail-item"><div class="trade-detail-label">Gross P&L</div><div class="trade-detail-value ${t.grossPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.grossPL)}</div></div>
+      <div class="trade-detail-item"><div class="trade-detail-label">Charges</div><div class="trade-detail-value">${t.charges ? this.formatCurrency(t.charges.total) : 'N/A'}</div></div>
       <div class="trade-detail-item"><div class="trade-detail-label">Net P&L</div><div class="trade-detail-value ${t.netPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.netPL)}</div></div>
       <div class="trade-detail-item"><div class="trade-detail-label">Risk:Reward</div><div class="trade-detail-value">1:${rrText}</div></div>
       <div class="trade-detail-item"><div class="trade-detail-label">Strategy</div><div class="trade-detail-value">${t.strategy}</div></div>
@@ -1140,50 +3640,1021 @@ class TradingJournalApp {
       <div class="trade-detail-item"><div class="trade-detail-label">Pre-Stress</div><div class="trade-detail-value">${t.preStress || 'N/A'}/10</div></div>
       <div class="trade-detail-item"><div class="trade-detail-label">FOMO Level</div><div class="trade-detail-value">${t.fomoLevel || 'N/A'}/10</div></div>
     </div>
+    ${this.renderStructureTable(t)}
+    ${this.renderTradeLegsTable(t)}
+    ${t.charges ? `<div style="margin-top:16px;"><strong>Charges (${TRADE_SEGMENTS[t.segment] || 'Equity Intraday'}):</strong><p>${this.formatChargesBreakdown(t.charges)}</p></div>` : ''}
+    ${t.tags?.length ? `<div style="margin-top:16px;"><strong>Tags:</strong> ${this.renderTagBadges(t.tags)}</div>` : ''}
+    ${this.renderCustomFieldDetails(t)}
     ${t.notes ? `<div style="margin-top:16px;"><strong>Notes:</strong><p>${t.notes}</p></div>` : ''}
+    ${this.renderAttachmentGallery(t)}
     ${t.lesson ? `<div style="margin-top:16px;"><strong>Lesson Learned:</strong><p>${t.lesson}</p></div>` : ''}
     ${followedRulesHtml}`;
     document.getElementById('tradeModal').classList.remove('hidden');
   }
 
-  hideTradeModal() {
-    document.getElementById('tradeModal').classList.add('hidden');
+  hideTradeModal() {
+    document.getElementById('tradeModal').classList.add('hidden');
+    this.currentViewingTradeId = null;
+  }
+  /* ---------------------- NEW DASHBOARD HELPERS ----------------------------- */
+  drawDashboardPLChart() {
+    const ctx = document.getElementById('dashboardPlChart');
+    if (!ctx) return;
+    if (this.charts.dashboardPl) {
+      this.charts.dashboardPl.destroy();
+    }
+    if (this.closedTrades.length < 2) {
+      const context = ctx.getContext('2d');
+      context.clearRect(0, 0, ctx.width, ctx.height);
+      context.fillStyle = 'grey';
+      context.textAlign = 'center';
+      context.fillText('Need at least 2 trades to show a curve.', ctx.width / 2, ctx.height / 2);
+      return;
+    }
+    const curve = this.buildEquityCurve();
+    const labels = curve.map((p, i) => `Trade ${i + 1}`);
+    const data = curve.map(p => p.pl);
+    this.charts.dashboardPl = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: labels,
+        datasets: [{
+          label: 'Cumulative P&L',
+          data: data,
+          borderColor: 'rgba(31, 184, 205, 0.8)',
+          backgroundColor: 'rgba(31, 184, 205, 0.1)',
+          fill: true,
+          tension: 0.4,
+          pointRadius: 0,
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: false,
+            ticks: {
+              font: {
+                size: 10
+              },
+              callback: (value) => this.formatCurrency(value).replace('.00', '')
+            }
+          },
+          x: {
+            display: false
+          }
+        }
+      }
+    });
+  }
+
+  renderDashboardAIFeedback() {
+    const container = document.getElementById('dashboardAiFeedback');
+    if (!container) return;
+    if (this.trades.length < 3) {
+      container.innerHTML = '<div class="empty-state">Add more trades for AI feedback.</div>';
+      return;
+    }
+    container.innerHTML = this.generateAIFeedback();
+  }
+
+  /* -------------------------- ANALYTICS & CHARTS ------------------------------ */
+  renderAnalytics() {
+    this.renderSavedViewControls('analytics');
+    const s = this.calculateStats(this.analyticsTrades);
+    document.getElementById('analyticsTotalTrades').textContent = s.totalTrades;
+    document.getElementById('analyticsWinRate').textContent = s.winRate + '%';
+    const netEl = document.getElementById('analyticsNetPL');
+    netEl.textContent = this.formatCurrency(s.totalPL);
+    netEl.className = 'value ' + (s.totalPL >= 0 ? 'positive' : 'negative');
+    document.getElementById('analyticsBestTrade').textContent = this.formatCurrency(s.bestTrade);
+    document.getElementById('analyticsWorstTrade').textContent = this.formatCurrency(s.worstTrade);
+    document.getElementById('analyticsAvgRR').textContent = s.avgRR;
+    const expEl = document.getElementById('analyticsExpectancyR');
+    expEl.textContent = s.expectancyR === null ? 'n/a' : `${s.expectancyR.toFixed(2)}R`;
+    expEl.className = 'value ' + (s.expectancyR === null ? '' : s.expectancyR >= 0 ? 'positive' : 'negative');
+    document.getElementById('analyticsSQN').textContent = s.sqn === null ? 'n/a' : `${s.sqn.toFixed(2)} (${this.describeSQN(s.sqn)})`;
+    document.getElementById('analyticsRTrades').textContent = `${s.rTrades} of ${s.totalTrades}`;
+    this.renderDrawdownSummary();
+    this.renderBenchmarkComparison();
+    this.renderStatsPanel();
+    this.prepareMonteCarlo();
+    if (typeof Chart === 'undefined') return;
+    setTimeout(() => {
+      this.drawPLChart();
+      this.drawBenchmarkChart();
+      this.drawUnderwaterChart();
+      this.drawRRChart();
+      this.drawRMultipleChart();
+      this.drawExcursionCharts();
+      this.drawHoldingChart();
+      this.drawStrategyChart();
+      this.renderTimeTables();
+    }, 50);
+    this.renderInstrumentBreakdown();
+    this.renderRStrategyTable();
+    this.renderExcursionReport();
+    this.renderHoldingAnalysis();
+  }
+
+  drawPLChart() {
+    const ctx = document.getElementById('plChart');
+    if (!ctx) return;
+    this.charts.pl?.destroy();
+    if (this.analyticsClosedTrades.length < 2) {
+      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+      return;
+    }
+    const curve = this.buildEquityCurve(this.analyticsClosedTrades);
+    const labels = curve.map(p => this.formatDate(p.date));
+    const cum = curve.map(p => p.pl);
+    this.charts.pl = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Cumulative P&L',
+          data: cum,
+          borderColor: '#1FB8CD',
+          backgroundColor: 'rgba(31,184,205,0.15)',
+          tension: 0.4,
+          fill: true
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: false,
+            ticks: {
+              callback: v => this.formatCurrency(v)
+            }
+          }
+        }
+      }
+    });
+  }
+
+  drawRRChart() {
+    const ctx = document.getElementById('rrChart');
+    if (!ctx) return;
+    this.charts.rr?.destroy();
+    if (this.analyticsTrades.length === 0) {
+      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+      return;
+    }
+    const buckets = {
+      '<1:1': 0,
+      '1:1-1:2': 0,
+      '1:2-1:3': 0,
+      '>1:3': 0
+    };
+    this.analyticsTrades.forEach(t => {
+      const rr = t.riskRewardRatio || 0;
+      if (rr < 1) buckets['<1:1']++;
+      else if (rr < 2) buckets['1:1-1:2']++;
+      else if (rr < 3) buckets['1:2-1:3']++;
+      else buckets['>1:3']++;
+    });
+    this.charts.rr = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: Object.keys(buckets),
+        datasets: [{
+          label: '# of Trades',
+          data: Object.values(buckets),
+          backgroundColor: ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0']
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: {
+              stepSize: 1
+            }
+          }
+        }
+      }
+    });
+  }
+
+  drawStrategyChart() {
+    const ctx = document.getElementById('strategyChart');
+    if (!ctx) return;
+    this.charts.strategy?.destroy();
+    if (this.analyticsClosedTrades.length === 0) {
+      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+      return;
+    }
+    const map = {};
+    this.analyticsClosedTrades.forEach(t => {
+      if (!map[t.strategy]) map[t.strategy] = {
+        total: 0,
+        wins: 0
+      };
+      map[t.strategy].total++;
+      if (t.netPL > 0) map[t.strategy].wins++;
+    });
+    const labels = Object.keys(map);
+    const data = labels.map(l => Math.round((map[l].wins / map[l].total) * 100));
+    this.charts.strategy = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: 'Win Rate %',
+          data,
+          backgroundColor: '#4BC0C0'
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            max: 100,
+            ticks: {
+              callback: v => v + '%'
+            }
+          }
+        }
+      }
+    });
+  }
+
+  renderTimeTables() {
+    const container = document.getElementById('timeChart').parentElement;
+    container.querySelectorAll('.time-table').forEach(n => n.remove());
+    this.renderTimeHeatmap();
+    const breakdowns = document.getElementById('timeBreakdowns');
+    breakdowns.innerHTML = '';
+    if (this.analyticsClosedTrades.length === 0) return;
+    const makeTable = (parent, title, groups) => {
+      const rows = groups.filter(g => g.trades.length > 0).map(g => {
+        const s = this.summarizeTimeBucket(g.trades);
+        return `<tr><td>${g.label}</td><td>${s.total}</td><td>${s.winRate}%</td><td class="${s.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(s.net)}</td></tr>`;
+      }).join('');
+      const div = document.createElement('div');
+      div.className = 'time-table';
+      div.innerHTML = `<h4>${title}</h4><table class="trade-table"><thead><tr><th>Period</th><th>Trades</th><th>Win %</th><th>Net P&L</th></tr></thead><tbody>${rows}</tbody></table>`;
+      parent.appendChild(div);
+    };
+    const dowNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    makeTable(container, 'Day-of-Week Analysis', dowNames.map((label, day) => ({
+      label,
+      trades: this.analyticsClosedTrades.filter(t => new Date(t.entryDate).getDay() === day)
+    })));
+    const hours = [...new Set(this.analyticsClosedTrades.map(t => this.getEntryHour(t)).filter(h => h !== null))].sort((a, b) => a - b);
+    makeTable(breakdowns, 'Hour-of-Day Analysis', hours.map(hour => ({
+      label: this.formatHourWindow(hour),
+      trades: this.analyticsClosedTrades.filter(t => this.getEntryHour(t) === hour)
+    })));
+  }
+
+  // Hour of entry, or null for trades recorded with a date only (some broker imports).
+  getEntryHour(t) {
+    if (typeof t.entryDate !== 'string' || !t.entryDate.includes('T')) return null;
+    const hour = new Date(t.entryDate).getHours();
+    return Number.isNaN(hour) ? null : hour;
+  }
+
+  getHoldingMinutes(t) {
+    if (!t.entryDate || !t.exitDate) return null;
+    const minutes = (new Date(t.exitDate) - new Date(t.entryDate)) / 60000;
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : null;
+  }
+
+  // 'intraday' when the position was opened and closed on the same calendar day, otherwise 'carry_forward'.
+  getHoldingType(t) {
+    if (!t.entryDate || !t.exitDate) return null;
+    return t.entryDate.slice(0, 10) === t.exitDate.slice(0, 10) ? 'intraday' : 'carry_forward';
+  }
+
+  countSessionsHeld(t) {
+    const day = new Date(t.entryDate.slice(0, 10) + 'T00:00');
+    const end = new Date(t.exitDate.slice(0, 10) + 'T00:00');
+    let sessions = 0;
+    while (day < end) {
+      day.setDate(day.getDate() + 1);
+      if (day.getDay() !== 0 && day.getDay() !== 6) sessions++;
+    }
+    return sessions;
+  }
+
+  getHoldingBucket(t) {
+    const minutes = this.getHoldingMinutes(t);
+    if (minutes === null) return null;
+    const bucket = key => HOLDING_BUCKETS.find(b => b.key === key);
+    if (minutes < 5) return bucket('scalp');
+    if (this.getHoldingType(t) === 'intraday') return bucket('intraday');
+    const sessions = this.countSessionsHeld(t);
+    if (sessions <= 1) return bucket('overnight');
+    return bucket(sessions <= 20 ? 'swing' : 'position');
+  }
+
+  getTaxCategory(t) {
+    if (t.segment === 'fo_futures' || t.segment === 'fo_options' || ['future', 'option', 'spread'].includes(t.instrumentType)) return 'business';
+    const type = this.getHoldingType(t);
+    if (!type) return null;
+    if (type === 'intraday') return 'speculative';
+    const exit = new Date(t.exitDate);
+    const longTermFrom = new Date(t.entryDate);
+    longTermFrom.setFullYear(longTermFrom.getFullYear() + 1);
+    return exit > longTermFrom ? 'ltcg' : 'stcg';
+  }
+
+  renderHoldingAnalysis() {
+    const container = document.getElementById('holdingAnalysis');
+    const trades = this.analyticsClosedTrades.filter(t => this.getHoldingMinutes(t) !== null);
+    if (trades.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">No closed trades with entry and exit times yet.</div>';
+      return;
+    }
+    const bucketRows = HOLDING_BUCKETS.map(b => {
+      const inBucket = trades.filter(t => this.getHoldingBucket(t) === b);
+      if (inBucket.length === 0) return '';
+      const s = this.summarizeTimeBucket(inBucket);
+      const expectancyR = this.calculateRStats(inBucket).expectancy;
+      const avgHold = inBucket.reduce((sum, t) => sum + this.getHoldingMinutes(t), 0) / inBucket.length;
+      return `<tr><td>${b.label}</td><td>${s.total}</td><td>${s.winRate}%</td>
+        <td class="${s.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(s.net / s.total)}${expectancyR === null ? '' : ` <small>(${expectancyR.toFixed(2)}R)</small>`}</td>
+        <td class="${s.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(s.net)}</td><td>${this.formatDuration(avgHold)}</td></tr>`;
+    }).join('');
+
+    const taxTotals = {};
+    trades.forEach(t => {
+      const category = this.getTaxCategory(t);
+      if (!category) return;
+      taxTotals[category] = taxTotals[category] || { count: 0, net: 0 };
+      taxTotals[category].count++;
+      taxTotals[category].net += t.netPL || 0;
+    });
+    const taxRows = Object.keys(TAX_CATEGORIES).filter(c => taxTotals[c]).map(c => `
+      <tr><td>${TAX_CATEGORIES[c]}</td><td>${taxTotals[c].count}</td><td class="${taxTotals[c].net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(taxTotals[c].net)}</td></tr>`).join('');
+    // Charges follow the segment, so an intraday-tagged trade held overnight was charged at the wrong rates.
+    const mismatched = trades.filter(t => (t.segment === 'equity_intraday' && this.getHoldingType(t) === 'carry_forward') ||
+      (t.segment === 'equity_delivery' && this.getHoldingType(t) === 'intraday')).length;
+
+    container.innerHTML = `
+      <table class="trade-table"><thead><tr><th>Holding Period</th><th>Trades</th><th>Win %</th><th>Expectancy</th><th>Net P&L</th><th>Avg Hold</th></tr></thead><tbody>${bucketRows}</tbody></table>
+      <h4 style="margin-top: 16px;">Tax Classification</h4>
+      <table class="trade-table"><thead><tr><th>Category</th><th>Trades</th><th>Net P&L</th></tr></thead><tbody>${taxRows}</tbody></table>
+      <p class="drawdown-summary">Indicative only, based on entry and exit dates. Confirm treatment with your tax advisor.</p>
+      ${mismatched ? `<div class="suggestion-item suggestion-warning">${mismatched} equity trade${mismatched === 1 ? ' is' : 's are'} tagged with a segment that doesn't match how long ${mismatched === 1 ? 'it was' : 'they were'} held, so charges and tax treatment may be off.</div>` : ''}`;
+  }
+
+  drawHoldingChart() {
+    const ctx = document.getElementById('holdingChart');
+    if (!ctx) return;
+    this.charts.holding?.destroy();
+    const points = this.analyticsClosedTrades
+      .filter(t => this.getHoldingMinutes(t) !== null)
+      .map(t => ({ x: Math.max(1, this.getHoldingMinutes(t)), y: t.netPL || 0 }));
+    if (points.length === 0) {
+      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+      return;
+    }
+    this.charts.holding = new Chart(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Trades',
+          data: points,
+          backgroundColor: points.map(p => p.y >= 0 ? '#4BC0C0' : '#FF6384')
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { label: c => `${this.formatDuration(c.raw.x)}: ${this.formatCurrency(c.raw.y)}` } }
+        },
+        scales: {
+          x: {
+            type: 'logarithmic',
+            title: { display: true, text: 'Holding time (log scale)' },
+            ticks: { callback: v => [1, 5, 60, 1440, 10080, 43200, 525600].includes(v) ? this.formatDuration(v) : '' }
+          },
+          y: { ticks: { callback: v => this.formatCurrency(v) } }
+        }
+      }
+    });
+  }
+
+  formatHourWindow(hour) {
+    const pad = h => String(h).padStart(2, '0');
+    return `${pad(hour)}:00-${pad((hour + 1) % 24)}:00`;
   }
-  /* ---------------------- NEW DASHBOARD HELPERS ----------------------------- */
-  drawDashboardPLChart() {
-    const ctx = document.getElementById('dashboardPlChart');
-    if (!ctx) return;
-    if (this.charts.dashboardPl) {
-      this.charts.dashboardPl.destroy();
+
+  summarizeTimeBucket(trades) {
+    const wins = trades.filter(t => t.netPL > 0).length;
+    return {
+      total: trades.length,
+      wins,
+      winRate: trades.length ? Math.round(wins / trades.length * 100) : 0,
+      net: trades.reduce((sum, t) => sum + (t.netPL || 0), 0)
+    };
+  }
+
+  // Weekday × entry-hour cells for the closed trades in scope, keyed "day-hour".
+  buildTimeCells(trades = this.closedTrades) {
+    const cells = {};
+    trades.forEach(t => {
+      const hour = this.getEntryHour(t);
+      if (hour === null) return;
+      const key = `${new Date(t.entryDate).getDay()}-${hour}`;
+      (cells[key] = cells[key] || []).push(t);
+    });
+    return cells;
+  }
+
+  renderTimeHeatmap() {
+    const container = document.getElementById('timeHeatmap');
+    document.getElementById('timeHeatmapTrades').innerHTML = '';
+    const cells = this.buildTimeCells(this.analyticsClosedTrades);
+    const keys = Object.keys(cells);
+    if (keys.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">No closed trades with an entry time yet.</div>';
+      return;
     }
-    if (this.trades.length < 2) {
-      const context = ctx.getContext('2d');
-      context.clearRect(0, 0, ctx.width, ctx.height);
-      context.fillStyle = 'grey';
-      context.textAlign = 'center';
-      context.fillText('Need at least 2 trades to show a curve.', ctx.width / 2, ctx.height / 2);
+    const metric = document.getElementById('timeHeatmapMetric').value;
+    const hours = [...new Set(keys.map(k => Number(k.split('-')[1])))];
+    const minHour = Math.min(...hours);
+    const maxHour = Math.max(...hours);
+    const columns = Array.from({ length: maxHour - minHour + 1 }, (_, i) => minHour + i);
+    // Monday first; weekend rows only appear when there are weekend trades.
+    const days = [1, 2, 3, 4, 5, 6, 0].filter(d => d >= 1 && d <= 5 || keys.some(k => k.startsWith(`${d}-`)));
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const summaries = Object.fromEntries(keys.map(k => [k, this.summarizeTimeBucket(cells[k])]));
+    const maxAbsNet = Math.max(...Object.values(summaries).map(s => Math.abs(s.net)), 1);
+
+    const cellHtml = (day, hour) => {
+      const s = summaries[`${day}-${hour}`];
+      if (!s) return '<td class="heatmap-cell empty"></td>';
+      // Net P&L shades by size relative to the largest cell; win rate shades by distance from 50%.
+      const intensity = metric === 'winRate' ? Math.abs(s.winRate - 50) / 50 : Math.abs(s.net) / maxAbsNet;
+      const positive = metric === 'winRate' ? s.winRate >= 50 : s.net >= 0;
+      const color = positive ? `rgba(75, 192, 192, ${0.15 + intensity * 0.75})` : `rgba(255, 99, 132, ${0.15 + intensity * 0.75})`;
+      const value = metric === 'winRate' ? `${s.winRate}%` : this.formatCurrency(s.net);
+      return `<td class="heatmap-cell" style="background: ${color};" title="${dayNames[day]} ${this.formatHourWindow(hour)}: ${s.total} trades, ${s.winRate}% win, ${this.formatCurrency(s.net)}" onclick="app.showTimeCellTrades(${day}, ${hour})">${value}<small>${s.total}</small></td>`;
+    };
+    container.innerHTML = `<div class="heatmap-scroll"><table class="heatmap-table">
+      <thead><tr><th></th>${columns.map(h => `<th>${String(h).padStart(2, '0')}h</th>`).join('')}</tr></thead>
+      <tbody>${days.map(d => `<tr><th>${dayNames[d]}</th>${columns.map(h => cellHtml(d, h)).join('')}</tr>`).join('')}</tbody>
+    </table></div>`;
+  }
+
+  showTimeCellTrades(day, hour) {
+    const trades = this.buildTimeCells(this.analyticsClosedTrades)[`${day}-${hour}`] || [];
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    document.getElementById('timeHeatmapTrades').innerHTML = this.renderDrillDownTrades(`${dayNames[day]} ${this.formatHourWindow(hour)}`, trades);
+  }
+
+  // Compact list of the trades behind an analytics cell; rows open the trade details.
+  renderDrillDownTrades(title, trades) {
+    return `
+      <h4>${title} (${trades.length} trade${trades.length === 1 ? '' : 's'})</h4>
+      <table class="trade-table"><thead><tr><th>Date</th><th>Symbol</th><th>Dir</th><th>Strategy</th><th>Held</th><th>P&L</th></tr></thead><tbody>
+        ${trades.map(t => `
+          <tr onclick="app.showTradeDetails('${t.id}')">
+            <td data-label="Date">${this.formatDate(t.entryDate)}</td>
+            <td data-label="Symbol">${t.symbol}</td>
+            <td data-label="Direction"><span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span></td>
+            <td data-label="Strategy">${t.strategy || '—'}</td>
+            <td data-label="Held">${this.formatDuration(this.getHoldingMinutes(t))}</td>
+            <td data-label="P&L" class="${t.netPL >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(t.netPL)}</td>
+          </tr>`).join('')}
+      </tbody></table>`;
+  }
+
+  renderInstrumentBreakdown() {
+    const container = document.getElementById('instrumentBreakdown');
+    if (this.analyticsClosedTrades.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">No closed trades yet.</div>';
       return;
     }
-    const sorted = [...this.trades].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate));
-    const labels = sorted.map((t, i) => `Trade ${i + 1}`);
-    const data = [];
-    let cumulativePL = 0;
-    sorted.forEach(trade => {
-      cumulativePL += trade.netPL || 0;
-      data.push(cumulativePL);
+    const group = keyFn => {
+      const map = {};
+      this.analyticsClosedTrades.forEach(t => {
+        const key = keyFn(t);
+        map[key] = map[key] || {
+          total: 0,
+          wins: 0,
+          net: 0
+        };
+        map[key].total++;
+        if (t.netPL > 0) map[key].wins++;
+        map[key].net += t.netPL;
+      });
+      return Object.entries(map).sort((a, b) => b[1].net - a[1].net);
+    };
+    const makeTable = (title, rows) => `
+      <h4>${title}</h4>
+      <table class="trade-table"><thead><tr><th>${title.split(' ')[1]}</th><th>Trades</th><th>Win %</th><th>Net P&L</th></tr></thead><tbody>
+        ${rows.map(([key, o]) => `<tr><td>${key}</td><td>${o.total}</td><td>${Math.round((o.wins / o.total) * 100)}%</td><td class="${o.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(o.net)}</td></tr>`).join('')}
+      </tbody></table>`;
+    container.innerHTML = makeTable('By Underlying', group(t => this.getUnderlying(t))) +
+      makeTable('By Instrument', group(t => INSTRUMENT_TYPES[t.instrumentType] || INSTRUMENT_TYPES.equity));
+    this.renderDimensionBreakdown();
+    this.renderPivotExplorer();
+    this.renderPsychologyCorrelations();
+  }
+
+  // Performance grouped by a tag or custom field picked in the analytics "Group by" select.
+  renderDimensionBreakdown() {
+    const select = document.getElementById('analyticsGroupBy');
+    const current = select.value || 'tag';
+    select.innerHTML = '<option value="tag">Tag</option>' + this.customFields.map(f => `<option value="${f.id}">${f.label}</option>`).join('');
+    select.value = [...select.options].some(o => o.value === current) ? current : 'tag';
+    select.onchange = () => this.renderDimensionBreakdown();
+    const map = {};
+    this.analyticsClosedTrades.forEach(t => {
+      this.getTradeDimensionValues(t, select.value).forEach(key => {
+        map[key] = map[key] || {
+          total: 0,
+          wins: 0,
+          net: 0
+        };
+        map[key].total++;
+        if (t.netPL > 0) map[key].wins++;
+        map[key].net += t.netPL;
+      });
     });
-    this.charts.dashboardPl = new Chart(ctx, {
+    const rows = Object.entries(map).sort((a, b) => b[1].net - a[1].net);
+    document.getElementById('dimensionBreakdown').innerHTML = rows.length === 0 ? '<div class="empty-state-sm">No closed trades yet.</div>' : `
+      <table class="trade-table"><thead><tr><th>${select.options[select.selectedIndex].text}</th><th>Trades</th><th>Win %</th><th>Net P&L</th><th>Avg P&L</th></tr></thead><tbody>
+        ${rows.map(([key, o]) => `<tr><td>${key}</td><td>${o.total}</td><td>${Math.round((o.wins / o.total) * 100)}%</td><td class="${o.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(o.net)}</td><td>${this.formatCurrency(o.net / o.total)}</td></tr>`).join('')}
+      </tbody></table>`;
+  }
+
+  /* ----------------------- PIVOT EXPLORER ------------------------------ */
+  getPivotDimensionValues(t, dimension) {
+    const value = t[dimension.key];
+    switch (dimension.type) {
+      case 'multi':
+        return Array.isArray(value) && value.length ? value : ['(none)'];
+      case 'scale':
+        return [value === null || value === undefined || value === '' ? '(blank)' : String(value)];
+      case 'segment':
+        return [TRADE_SEGMENTS[value] || '(blank)'];
+      case 'weekday':
+        return [['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(t.entryDate).getDay()] || '(blank)'];
+      case 'month':
+        return [(t.entryDate || '').slice(0, 7) || '(blank)'];
+      case 'holding':
+        return [this.getHoldingBucket(t)?.label || '(open)'];
+      case 'account':
+        return [this.getAccountName(t.accountId) || '(no account)'];
+      default:
+        return [value || '(blank)'];
+    }
+  }
+
+  computePivotMetric(trades, metric) {
+    const pls = trades.map(t => t.netPL || 0);
+    const net = pls.reduce((a, b) => a + b, 0);
+    switch (metric) {
+      case 'trades': return trades.length;
+      case 'winRate': return trades.length ? pls.filter(v => v > 0).length / trades.length * 100 : null;
+      case 'netPL': return net;
+      case 'avgPL': return trades.length ? net / trades.length : null;
+      case 'expectancyR': return this.calculateRStats(trades).expectancy;
+      case 'profitFactor': {
+        const loss = -pls.filter(v => v < 0).reduce((a, b) => a + b, 0);
+        return loss > 0 ? pls.filter(v => v > 0).reduce((a, b) => a + b, 0) / loss : null;
+      }
+      default: return null;
+    }
+  }
+
+  formatPivotMetric(value, metric) {
+    if (value === null || value === undefined) return 'n/a';
+    if (metric === 'trades') return String(value);
+    if (metric === 'winRate') return `${Math.round(value)}%`;
+    if (metric === 'expectancyR') return `${value.toFixed(2)}R`;
+    if (metric === 'profitFactor') return value.toFixed(2);
+    return this.formatCurrency(value);
+  }
+
+  renderPivotOptions() {
+    const rowSelect = document.getElementById('pivotRow');
+    const colSelect = document.getElementById('pivotCol');
+    const groups = {};
+    PIVOT_DIMENSIONS.forEach(d => (groups[d.group] = groups[d.group] || []).push(`<option value="${d.key}">${d.label}</option>`));
+    const custom = [
+      '<option value="tag">Tag</option>',
+      ...this.customFields.map(f => `<option value="${f.id}">${f.label}</option>`)
+    ];
+    const options = Object.entries(groups).map(([group, opts]) => `<optgroup label="${group}">${opts.join('')}</optgroup>`).join('') +
+      `<optgroup label="Tags &amp; Custom Fields">${custom.join('')}</optgroup>`;
+    const keep = (select, fallback) => {
+      const current = select.value || fallback;
+      select.innerHTML = (select === colSelect ? '<option value="">None</option>' : '') + options;
+      select.value = [...select.options].some(o => o.value === current) ? current : fallback;
+    };
+    keep(rowSelect, 'strategy');
+    keep(colSelect, '');
+  }
+
+  getPivotLabel(dimension) {
+    if (dimension === 'tag') return 'Tag';
+    return PIVOT_DIMENSIONS.find(d => d.key === dimension)?.label || this.customFields.find(f => f.id === dimension)?.label || dimension;
+  }
+
+  // Multi-value fields (confluence, events, tags) place a trade in every value it has,
+  // so row totals can exceed the number of trades.
+  buildPivot(rowDim, colDim) {
+    const rows = {};
+    this.analyticsClosedTrades.forEach(t => {
+      const colValues = colDim ? this.getTradeDimensionValues(t, colDim) : [];
+      this.getTradeDimensionValues(t, rowDim).forEach(rowValue => {
+        const row = rows[rowValue] = rows[rowValue] || { label: rowValue, trades: [], cells: {} };
+        row.trades.push(t);
+        colValues.forEach(colValue => (row.cells[colValue] = row.cells[colValue] || []).push(t));
+      });
+    });
+    const columnCounts = {};
+    Object.values(rows).forEach(r => Object.entries(r.cells).forEach(([c, trades]) => (columnCounts[c] = (columnCounts[c] || 0) + trades.length)));
+    const columns = Object.keys(columnCounts).sort((a, b) => columnCounts[b] - columnCounts[a]);
+    return { rows: Object.values(rows), columns };
+  }
+
+  sortPivot(column) {
+    const current = this.pivotSort || {};
+    this.pivotSort = { column, desc: current.column === column ? !current.desc : column !== 'label' };
+    this.renderPivotExplorer();
+  }
+
+  renderPivotExplorer() {
+    this.renderPivotOptions();
+    const container = document.getElementById('pivotTable');
+    document.getElementById('pivotTrades').innerHTML = '';
+    const rowDim = document.getElementById('pivotRow').value;
+    const colDim = document.getElementById('pivotCol').value === rowDim ? '' : document.getElementById('pivotCol').value;
+    const metric = document.getElementById('pivotMetric').value;
+    const { rows, columns } = this.buildPivot(rowDim, colDim);
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">No closed trades yet.</div>';
+      this.charts.pivot?.destroy();
+      return;
+    }
+
+    // One dimension lists every metric; two dimensions cross-tabulate the chosen metric.
+    const valueColumns = colDim ? [...columns.map(c => ({ key: c, label: c })), { key: '__total', label: 'Total' }] : PIVOT_METRICS;
+    const cellTrades = (row, key) => key === '__total' || !colDim ? row.trades : row.cells[key] || [];
+    const cellValue = (row, key) => colDim ? this.computePivotMetric(cellTrades(row, key), metric) : this.computePivotMetric(row.trades, key);
+    const sort = this.pivotSort && (this.pivotSort.column === 'label' || valueColumns.some(c => c.key === this.pivotSort.column))
+      ? this.pivotSort : { column: colDim ? '__total' : metric, desc: true };
+    rows.sort((a, b) => {
+      if (sort.column === 'label') return sort.desc ? b.label.localeCompare(a.label, undefined, { numeric: true }) : a.label.localeCompare(b.label, undefined, { numeric: true });
+      const av = cellValue(a, sort.column) ?? -Infinity;
+      const bv = cellValue(b, sort.column) ?? -Infinity;
+      return sort.desc ? bv - av : av - bv;
+    });
+    this.pivotRows = rows;
+    this.pivotColumns = valueColumns;
+    this.pivotColDim = colDim;
+
+    const arrow = key => sort.column === key ? (sort.desc ? ' ▼' : ' ▲') : '';
+    const colorClass = (value, key) => ['netPL', 'avgPL', 'expectancyR'].includes(colDim ? metric : key) && value !== null ? (value >= 0 ? 'positive' : 'negative') : '';
+    container.innerHTML = `
+      <table class="trade-table pivot-table"><thead><tr>
+        <th class="sortable" onclick="app.sortPivot('label')">${this.getPivotLabel(rowDim)}${colDim ? ` / ${this.getPivotLabel(colDim)}` : ''}${arrow('label')}</th>
+        ${valueColumns.map((c, i) => `<th class="sortable" onclick="app.sortPivot(app.pivotColumns[${i}].key)">${c.label}${arrow(c.key)}</th>`).join('')}
+      </tr></thead><tbody>
+        ${rows.map((row, r) => `<tr><td>${row.label}</td>${valueColumns.map((c, i) => {
+          const value = cellValue(row, c.key);
+          const count = cellTrades(row, c.key).length;
+          return count === 0 ? '<td>—</td>' : `<td class="pivot-cell ${colorClass(value, c.key)}" onclick="app.showPivotTrades(${r}, ${i})">${this.formatPivotMetric(value, colDim ? metric : c.key)}</td>`;
+        }).join('')}</tr>`).join('')}
+      </tbody></table>`;
+    this.drawPivotChart(rows, colDim ? columns : null, metric);
+  }
+
+  showPivotTrades(rowIndex, columnIndex) {
+    const row = this.pivotRows[rowIndex];
+    const column = this.pivotColumns[columnIndex];
+    const byColumn = this.pivotColDim && column.key !== '__total';
+    const trades = byColumn ? row.cells[column.key] || [] : row.trades;
+    document.getElementById('pivotTrades').innerHTML = this.renderDrillDownTrades(byColumn ? `${row.label} / ${column.label}` : row.label, trades);
+  }
+
+  drawPivotChart(rows, columns, metric) {
+    if (typeof Chart === 'undefined') return;
+    const ctx = document.getElementById('pivotChart');
+    this.charts.pivot?.destroy();
+    const palette = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F', '#DB4545', '#D2BA4C', '#964325', '#944454'];
+    const shown = rows.slice(0, 20);
+    const datasets = columns
+      ? columns.slice(0, palette.length).map((c, i) => ({
+        label: c,
+        data: shown.map(r => this.computePivotMetric(r.cells[c] || [], metric)),
+        backgroundColor: palette[i]
+      }))
+      : [{
+        label: PIVOT_METRICS.find(m => m.key === metric).label,
+        data: shown.map(r => this.computePivotMetric(r.trades, metric)),
+        backgroundColor: shown.map(r => (this.computePivotMetric(r.trades, metric) || 0) >= 0 ? '#4BC0C0' : '#FF6384')
+      }];
+    this.charts.pivot = new Chart(ctx, {
+      type: 'bar',
+      data: { labels: shown.map(r => r.label), datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: { legend: { display: !!columns } },
+        scales: { y: { ticks: { callback: v => this.formatPivotMetric(v, metric) } } }
+      }
+    });
+  }
+
+  /* ----------------------- PSYCHOLOGY CORRELATION ------------------------------ */
+  // Imported trades carry placeholder slider values until they're saved from the form, which sets
+  // psychologyRecorded. Trades from before the flag count when they weren't imported.
+  getPsychologyTrades(closed = this.closedTrades) {
+    return closed.filter(t => t.psychologyRecorded ?? !t.importSource);
+  }
+
+  pearson(xs, ys) {
+    const n = xs.length;
+    if (n < 3) return null;
+    const mx = xs.reduce((a, b) => a + b, 0) / n;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - mx) * (ys[i] - my);
+      sxx += (xs[i] - mx) ** 2;
+      syy += (ys[i] - my) ** 2;
+    }
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+  }
+
+  // Two-tailed p-value for a Pearson r via Student's t with n - 2 degrees of freedom,
+  // using the regularized incomplete beta function (continued fraction, as in Numerical Recipes).
+  correlationPValue(r, n) {
+    if (r === null || n < 4) return null;
+    if (Math.abs(r) >= 1) return 0;
+    const df = n - 2;
+    const t = r * Math.sqrt(df / (1 - r * r));
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const lnGamma = z => {
+      const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+      let y = z;
+      const tmp = z + 5.5 - (z + 0.5) * Math.log(z + 5.5);
+      const ser = c.reduce((sum, coef) => sum + coef / ++y, 1.000000000190015);
+      return -tmp + Math.log(2.5066282746310005 * ser / z);
+    };
+    const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    const continuedFraction = (x, a, b) => {
+      let c = 1, d = 1 - (a + b) * x / (a + 1);
+      d = 1 / (Math.abs(d) < 1e-30 ? 1e-30 : d);
+      let h = d;
+      for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 / (Math.abs(1 + aa * d) < 1e-30 ? 1e-30 : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < 1e-30 ? 1e-30 : 1 + aa / c;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 / (Math.abs(1 + aa * d) < 1e-30 ? 1e-30 : 1 + aa * d);
+        c = Math.abs(1 + aa / c) < 1e-30 ? 1e-30 : 1 + aa / c;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 3e-7) break;
+      }
+      return h;
+    };
+    return x < (a + 1) / (a + b + 2)
+      ? front * continuedFraction(x, a, b) / a
+      : 1 - front * continuedFraction(1 - x, b, a) / b;
+  }
+
+  calculatePsychologyCorrelation(key, trades = this.getPsychologyTrades()) {
+    const withValue = trades.filter(t => Number.isFinite(t[key]));
+    const withR = withValue.filter(t => this.getRMultiple(t) !== null);
+    const rPL = this.pearson(withValue.map(t => t[key]), withValue.map(t => t.netPL || 0));
+    const rR = this.pearson(withR.map(t => t[key]), withR.map(t => this.getRMultiple(t)));
+    const pPL = this.correlationPValue(rPL, withValue.length);
+    const pR = this.correlationPValue(rR, withR.length);
+    // The significant correlation with the lower p-value; P&L wins ties.
+    const plSignificant = pPL !== null && pPL < 0.05;
+    const useR = pR !== null && pR < 0.05 && !(plSignificant && pPL <= pR);
+    return {
+      key,
+      label: PIVOT_DIMENSIONS.find(d => d.key === key).label,
+      n: withValue.length,
+      nR: withR.length,
+      rPL,
+      pPL,
+      rR,
+      pR,
+      significant: plSignificant || useR,
+      signal: useR ? { r: rR, n: withR.length, measure: 'R-multiples' } : plSignificant ? { r: rPL, n: withValue.length, measure: 'P&L' } : null
+    };
+  }
+
+  renderPsychologyCorrelations() {
+    const container = document.getElementById('psychologyCorrelation');
+    const trades = this.getPsychologyTrades(this.analyticsClosedTrades);
+    if (trades.length < 10) {
+      container.innerHTML = `<div class="empty-state-sm">Journal at least 10 closed trades with psychology inputs to see correlations (${trades.length} so far).</div>`;
+      document.getElementById('psychologyCharts').innerHTML = '';
+      return;
+    }
+    // Ranked by the stronger of the two correlations, significant inputs first.
+    const strength = c => Math.max(Math.abs(c.rPL ?? 0), Math.abs(c.rR ?? 0));
+    const results = PIVOT_DIMENSIONS.filter(d => d.type === 'scale')
+      .map(d => this.calculatePsychologyCorrelation(d.key, trades))
+      .sort((a, b) => (b.significant - a.significant) || strength(b) - strength(a));
+    const fmtR = (r, p) => r === null ? 'n/a' : `<span class="${r >= 0 ? 'positive' : 'negative'}">${r.toFixed(2)}</span>${p === null ? '' : ` <small>(p ${p < 0.001 ? '< 0.001' : '= ' + p.toFixed(3)})</small>`}`;
+    const predictors = results.filter(c => c.significant).slice(0, 3).map(({ label, signal }) =>
+      `<li>Higher <strong>${label}</strong> goes with ${signal.r >= 0 ? 'better' : 'worse'} ${signal.measure} (r = ${signal.r.toFixed(2)}, n = ${signal.n}).</li>`);
+    container.innerHTML = `
+      <div class="suggestion-item ${predictors.length ? 'suggestion-good' : 'suggestion-info'}">
+        <div class="suggestion-title">What actually predicts your results</div>
+        <div class="suggestion-desc">${predictors.length ? `<ol>${predictors.join('')}</ol>` : `None of your psychology inputs has a statistically significant link to results yet across ${trades.length} trades.`}</div>
+      </div>
+      <table class="trade-table"><thead><tr><th>Input</th><th>n</th><th>r vs Net P&L</th><th>n (R)</th><th>r vs R-Multiple</th><th>Significant (p &lt; 0.05)</th></tr></thead><tbody>
+        ${results.map(c => `<tr><td>${c.label}</td><td>${c.n}</td><td>${fmtR(c.rPL, c.pPL)}</td><td>${c.nR}</td><td>${fmtR(c.rR, c.pR)}</td><td>${c.significant ? 'Yes' : 'No'}</td></tr>`).join('')}
+      </tbody></table>
+      <p class="drawdown-summary">Correlation shows association, not cause. Values near 0 mean no linear relationship.</p>`;
+    this.drawPsychologyCharts(results, trades);
+  }
+
+  // Average net P&L per two-point bin of each 1-10 input.
+  drawPsychologyCharts(results, trades) {
+    const container = document.getElementById('psychologyCharts');
+    container.innerHTML = results.map(c => `<div class="chart-container" style="position: relative; height: 220px;"><h4>${c.label}</h4><canvas id="psychChart-${c.key}"></canvas></div>`).join('');
+    if (typeof Chart === 'undefined') return;
+    const bins = [[1, 2], [3, 4], [5, 6], [7, 8], [9, 10]];
+    results.forEach(c => {
+      const chartKey = `psych-${c.key}`;
+      this.charts[chartKey]?.destroy();
+      const grouped = bins.map(([lo, hi]) => trades.filter(t => t[c.key] >= lo && t[c.key] <= hi));
+      const avgs = grouped.map(g => g.length ? g.reduce((sum, t) => sum + (t.netPL || 0), 0) / g.length : null);
+      this.charts[chartKey] = new Chart(document.getElementById(`psychChart-${c.key}`), {
+        type: 'bar',
+        data: {
+          labels: bins.map(([lo, hi], i) => `${lo}-${hi} (${grouped[i].length})`),
+          datasets: [{
+            label: 'Avg Net P&L',
+            data: avgs,
+            backgroundColor: avgs.map(v => (v || 0) >= 0 ? '#4BC0C0' : '#FF6384')
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: { legend: { display: false } },
+          scales: { y: { ticks: { callback: v => this.formatCurrency(v) } } }
+        }
+      });
+    });
+  }
+
+  /* ----------------------- DRAWDOWN ------------------------------ */
+  // Closed trades in the order their P&L was realized, with the running peak and
+  // the distance below it after each one. Equity includes account capital when known.
+  buildEquityCurve(closed = this.closedTrades) {
+    const capital = this.getScopedCapital();
+    const sorted = [...closed].sort((a, b) => new Date(a.exitDate || a.entryDate) - new Date(b.exitDate || b.entryDate));
+    let pl = 0;
+    let peak = capital;
+    return sorted.map(t => {
+      pl += t.netPL || 0;
+      const equity = capital + pl;
+      peak = Math.max(peak, equity);
+      return {
+        date: t.exitDate || t.entryDate,
+        pl,
+        equity,
+        peak,
+        drawdown: equity - peak,
+        drawdownPct: peak > 0 && capital > 0 ? (equity - peak) / peak * 100 : null
+      };
+    });
+  }
+
+  calculateDrawdownStats(closed = this.closedTrades) {
+    const curve = this.buildEquityCurve(closed);
+    const stats = {
+      points: curve.length,
+      maxDrawdown: 0,
+      maxDrawdownPct: null,
+      currentDrawdown: 0,
+      currentDrawdownPct: null,
+      longestDrawdownDays: 0,
+      recoveryDays: null,
+      inDrawdownSince: null
+    };
+    if (curve.length === 0) return stats;
+    const days = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000);
+    const startDate = closed.reduce((min, t) => t.entryDate < min ? t.entryDate : min, curve[0].date);
+    let peakDate = startDate;
+    let maxTroughDate = null;
+    let underwater = false;
+    let holdsMax = false;
+    curve.forEach(p => {
+      if (p.drawdown === 0) {
+        // Back at (or above) the old high: the episode that just ended counts towards the longest duration.
+        if (underwater) {
+          stats.longestDrawdownDays = Math.max(stats.longestDrawdownDays, days(peakDate, p.date));
+          if (holdsMax) stats.recoveryDays = days(maxTroughDate, p.date);
+        }
+        peakDate = p.date;
+        underwater = false;
+        holdsMax = false;
+        return;
+      }
+      underwater = true;
+      // The deepest % and deepest currency drawdown can fall on different trades as equity grows.
+      if (p.drawdownPct !== null) stats.maxDrawdownPct = Math.min(stats.maxDrawdownPct ?? 0, p.drawdownPct);
+      if (p.drawdown < stats.maxDrawdown) {
+        stats.maxDrawdown = p.drawdown;
+        maxTroughDate = p.date;
+        stats.recoveryDays = null;
+        holdsMax = true;
+      }
+    });
+    const last = curve[curve.length - 1];
+    stats.currentDrawdown = last.drawdown;
+    stats.currentDrawdownPct = last.drawdownPct;
+    if (last.drawdown < 0) {
+      stats.inDrawdownSince = peakDate;
+      stats.longestDrawdownDays = Math.max(stats.longestDrawdownDays, days(peakDate, new Date()));
+    }
+    return stats;
+  }
+
+  formatDrawdown(amount, pct) {
+    return `${this.formatCurrency(amount)}${pct === null ? '' : ` (${pct.toFixed(2)}%)`}`;
+  }
+
+  renderDrawdownSummary() {
+    const dd = this.calculateDrawdownStats(this.analyticsClosedTrades);
+    const set = (id, text) => {
+      document.getElementById(id).textContent = text;
+    };
+    if (dd.points === 0) {
+      ['ddMax', 'ddCurrent', 'ddLongest', 'ddRecovery'].forEach(id => set(id, 'n/a'));
+      return;
+    }
+    set('ddMax', this.formatDrawdown(dd.maxDrawdown, dd.maxDrawdownPct));
+    set('ddCurrent', dd.currentDrawdown < 0 ? `${this.formatDrawdown(dd.currentDrawdown, dd.currentDrawdownPct)} since ${this.formatDate(dd.inDrawdownSince)}` : 'At equity high');
+    set('ddLongest', `${dd.longestDrawdownDays} days`);
+    set('ddRecovery', dd.maxDrawdown === 0 ? 'n/a' : dd.recoveryDays === null ? 'Not yet recovered' : `${dd.recoveryDays} days`);
+    document.getElementById('ddPercentNote').classList.toggle('hidden', this.getScopedCapital() > 0);
+  }
+
+  drawUnderwaterChart() {
+    const ctx = document.getElementById('underwaterChart');
+    if (!ctx) return;
+    this.charts.underwater?.destroy();
+    const curve = this.buildEquityCurve(this.analyticsClosedTrades);
+    if (curve.length < 2) {
+      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+      return;
+    }
+    const usePct = this.getScopedCapital() > 0;
+    this.charts.underwater = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: labels,
+        labels: curve.map(p => this.formatDate(p.date)),
         datasets: [{
-          label: 'Cumulative P&L',
-          data: data,
-          borderColor: 'rgba(31, 184, 205, 0.8)',
-          backgroundColor: 'rgba(31, 184, 205, 0.1)',
-          fill: true,
-          tension: 0.4,
+          label: usePct ? 'Drawdown %' : 'Drawdown',
+          data: curve.map(p => usePct ? p.drawdownPct : p.drawdown),
+          borderColor: '#FF6384',
+          backgroundColor: 'rgba(255,99,132,0.25)',
+          stepped: true,
           pointRadius: 0,
+          fill: 'origin'
         }]
       },
       options: {
@@ -1196,175 +4667,569 @@ class TradingJournalApp {
         },
         scales: {
           y: {
-            beginAtZero: false,
+            max: 0,
             ticks: {
-              font: {
-                size: 10
-              },
-              callback: (value) => this.formatCurrency(value).replace('.00', '')
+              callback: v => usePct ? `${v.toFixed(1)}%` : this.formatCurrency(v)
             }
-          },
-          x: {
-            display: false
           }
         }
       }
     });
   }
 
-  renderDashboardAIFeedback() {
-    const container = document.getElementById('dashboardAiFeedback');
-    if (!container) return;
-    if (this.trades.length < 3) {
-      container.innerHTML = '<div class="empty-state">Add more trades for AI feedback.</div>';
-      return;
+  /* ----------------------- BENCHMARK ------------------------------ */
+  // Daily closes (date, close) from a CSV export, saved to settings/benchmark as a date → close map.
+  async importBenchmark(file) {
+    if (!file) return;
+    try {
+      const rows = this.parseCSV(await file.text()).filter(r => r.some(c => c.trim()));
+      const headers = (rows.shift() || []).map(h => h.trim().toLowerCase());
+      const dateCol = headers.findIndex(h => ['date', 'datetime', 'timestamp'].includes(h));
+      const closeCol = ['adj close', 'adj_close', 'close', 'closing price', 'price', 'ltp'].map(n => headers.indexOf(n)).find(i => i > -1);
+      if (dateCol === -1 || closeCol === undefined) {
+        this.showToast('Benchmark file needs date and close columns.', 'warning');
+        return;
+      }
+      const dayFirst = this.detectDayFirst(rows.map(r => r[dateCol]));
+      if (dayFirst === null) {
+        this.showToast('Benchmark dates mix DD/MM and MM/DD formats.', 'warning');
+        return;
+      }
+      const closes = {};
+      const badDates = [];
+      rows.forEach((r, i) => {
+        const date = this.parseImportDate(r[dateCol], '', dayFirst)?.slice(0, 10);
+        const close = this.parseImportNumber(r[closeCol]);
+        if (!date) badDates.push(i + 2);
+        else if (close > 0) closes[date] = close;
+      });
+      if (badDates.length > 0) {
+        this.showToast(`Unreadable dates on row${badDates.length === 1 ? '' : 's'} ${badDates.slice(0, 5).join(', ')}${badDates.length > 5 ? '…' : ''}. Nothing was loaded.`, 'warning');
+        return;
+      }
+      if (Object.keys(closes).length < 2) {
+        this.showToast('No usable daily closes found in the file.', 'warning');
+        return;
+      }
+      const benchmark = {
+        name: document.getElementById('benchmarkName').value.trim() || file.name.replace(/\.csv$/i, ''),
+        closes
+      };
+      await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('benchmark').set({
+        ...benchmark,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      this.benchmark = benchmark;
+      this.showToast(`Loaded ${Object.keys(closes).length} daily closes for ${benchmark.name}.`, 'success');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      console.error('[DATA] Benchmark import failed:', error);
+      this.showToast(`Could not load benchmark: ${error.message}`, 'error');
     }
-    container.innerHTML = this.generateAIFeedback();
   }
 
-  /* -------------------------- ANALYTICS & CHARTS ------------------------------ */
-  renderAnalytics() {
-    const s = this.calculateStats();
-    document.getElementById('analyticsTotalTrades').textContent = s.totalTrades;
-    document.getElementById('analyticsWinRate').textContent = s.winRate + '%';
-    const netEl = document.getElementById('analyticsNetPL');
-    netEl.textContent = this.formatCurrency(s.totalPL);
-    netEl.className = 'value ' + (s.totalPL >= 0 ? 'positive' : 'negative');
-    document.getElementById('analyticsBestTrade').textContent = this.formatCurrency(s.bestTrade);
-    document.getElementById('analyticsWorstTrade').textContent = this.formatCurrency(s.worstTrade);
-    document.getElementById('analyticsAvgRR').textContent = s.avgRR;
-    if (typeof Chart === 'undefined') return;
-    setTimeout(() => {
-      this.drawPLChart();
-      this.drawRRChart();
-      this.drawStrategyChart();
-      this.renderTimeTables();
-    }, 50);
+  async removeBenchmark() {
+    if (!confirm('Remove the saved benchmark data?')) return;
+    try {
+      await this.db.collection('users').doc(this.currentUser.uid).collection('settings').doc('benchmark').delete();
+      this.benchmark = null;
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      console.error('[DATA] Error removing benchmark:', error);
+      this.showToast(`Error removing benchmark: ${error.message}`, 'error');
+    }
   }
 
-  drawPLChart() {
-    const ctx = document.getElementById('plChart');
+  // Journal equity and benchmark closes on the benchmark's trading days, starting from the
+  // last close before the first trade. Journal equity is capital plus P&L realized by that day.
+  buildBenchmarkSeries(closed = this.closedTrades) {
+    const capital = this.getScopedCapital();
+    if (!this.benchmark || capital <= 0 || closed.length === 0) return [];
+    const dates = Object.keys(this.benchmark.closes).sort();
+    const realized = [...closed]
+      .map(t => ({ date: (t.exitDate || t.entryDate).slice(0, 10), pl: t.netPL || 0 }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const firstTrade = closed.reduce((min, t) => t.entryDate.slice(0, 10) < min ? t.entryDate.slice(0, 10) : min, realized[0].date);
+    const startIndex = Math.max(0, dates.filter(d => d < firstTrade).length - 1);
+    let pl = 0;
+    let next = 0;
+    return dates.slice(startIndex).map(date => {
+      while (next < realized.length && realized[next].date <= date) pl += realized[next++].pl;
+      return { date, equity: capital + pl, close: this.benchmark.closes[date] };
+    });
+  }
+
+  calculateBenchmarkStats(series = this.buildBenchmarkSeries()) {
+    if (series.length < 3) return null;
+    const journal = [];
+    const bench = [];
+    for (let i = 1; i < series.length; i++) {
+      journal.push(series[i].equity / series[i - 1].equity - 1);
+      bench.push(series[i].close / series[i - 1].close - 1);
+    }
+    const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+    const mj = mean(journal);
+    const mb = mean(bench);
+    const covariance = journal.reduce((sum, r, i) => sum + (r - mj) * (bench[i] - mb), 0) / (journal.length - 1);
+    const variance = bench.reduce((sum, r) => sum + (r - mb) ** 2, 0) / (bench.length - 1);
+    const beta = variance ? covariance / variance : null;
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    // Month-by-month returns, each measured from the previous month's last close.
+    const months = [];
+    let prev = first;
+    series.forEach((point, i) => {
+      const month = point.date.slice(0, 7);
+      const isMonthEnd = i === series.length - 1 || series[i + 1].date.slice(0, 7) !== month;
+      if (!isMonthEnd || i === 0) return;
+      const journalReturn = point.equity / prev.equity - 1;
+      const benchmarkReturn = point.close / prev.close - 1;
+      months.push({ month, journalReturn, benchmarkReturn, outperformance: journalReturn - benchmarkReturn });
+      prev = point;
+    });
+
+    return {
+      days: journal.length,
+      journalReturn: last.equity / first.equity - 1,
+      benchmarkReturn: last.close / first.close - 1,
+      beta,
+      // Jensen's alpha on daily returns with a zero risk-free rate, annualised over 252 sessions.
+      alpha: beta === null ? null : (mj - beta * mb) * 252,
+      correlation: this.pearson(journal, bench),
+      months
+    };
+  }
+
+  renderBenchmarkComparison() {
+    const statsEl = document.getElementById('benchmarkStats');
+    const monthlyEl = document.getElementById('benchmarkMonthly');
+    document.getElementById('removeBenchmarkBtn').classList.toggle('hidden', !this.benchmark);
+    if (this.benchmark) document.getElementById('benchmarkName').value = this.benchmark.name;
+    monthlyEl.innerHTML = '';
+    if (!this.benchmark) {
+      statsEl.innerHTML = '<div class="empty-state-sm">Upload a CSV of daily closes (date, close) for an index such as NIFTY 50 or the S&P 500.</div>';
+      return;
+    }
+    if (this.getScopedCapital() <= 0) {
+      statsEl.innerHTML = '<div class="empty-state-sm">Set a starting capital on your account to compare returns with the benchmark.</div>';
+      return;
+    }
+    const stats = this.calculateBenchmarkStats(this.buildBenchmarkSeries(this.analyticsClosedTrades));
+    if (!stats) {
+      statsEl.innerHTML = `<div class="empty-state-sm">The ${this.benchmark.name} data doesn't overlap your closed trades yet.</div>`;
+      return;
+    }
+    const pct = v => v === null ? 'n/a' : `${(v * 100).toFixed(2)}%`;
+    const cls = v => v === null ? '' : v >= 0 ? 'positive' : 'negative';
+    const item = (label, value, className = '') => `<div class="summary-item"><span class="label">${label}:</span><span class="value ${className}">${value}</span></div>`;
+    statsEl.innerHTML = `<div class="summary-stats">
+      ${item('Your return', pct(stats.journalReturn), cls(stats.journalReturn))}
+      ${item(`${this.benchmark.name} return`, pct(stats.benchmarkReturn), cls(stats.benchmarkReturn))}
+      ${item('Outperformance', pct(stats.journalReturn - stats.benchmarkReturn), cls(stats.journalReturn - stats.benchmarkReturn))}
+      ${item('Alpha (annualized)', pct(stats.alpha), cls(stats.alpha))}
+      ${item('Beta', stats.beta === null ? 'n/a' : stats.beta.toFixed(2))}
+      ${item('Correlation', stats.correlation === null ? 'n/a' : stats.correlation.toFixed(2))}
+    </div>`;
+    monthlyEl.innerHTML = stats.months.length === 0 ? '' : `
+      <table class="trade-table"><thead><tr><th>Month</th><th>You</th><th>${this.benchmark.name}</th><th>Outperformance</th></tr></thead><tbody>
+        ${stats.months.map(m => `<tr><td>${m.month}</td><td class="${cls(m.journalReturn)}">${pct(m.journalReturn)}</td><td class="${cls(m.benchmarkReturn)}">${pct(m.benchmarkReturn)}</td><td class="${cls(m.outperformance)}">${pct(m.outperformance)}</td></tr>`).join('')}
+      </tbody></table>`;
+  }
+
+  drawBenchmarkChart() {
+    const ctx = document.getElementById('benchmarkChart');
     if (!ctx) return;
-    this.charts.pl?.destroy();
-    if (this.trades.length < 2) {
+    this.charts.benchmark?.destroy();
+    const series = this.buildBenchmarkSeries(this.analyticsClosedTrades);
+    if (series.length < 2) {
       ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
       return;
     }
-    const sorted = [...this.trades].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate));
-    const labels = [];
-    const cum = [];
-    let run = 0;
-    sorted.forEach(t => {
-      run += t.netPL;
-      labels.push(this.formatDate(t.entryDate));
-      cum.push(run);
+    // Both curves rebased to 100 on the first day.
+    this.charts.benchmark = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: series.map(p => this.formatDate(p.date)),
+        datasets: [{
+          label: 'Your equity',
+          data: series.map(p => p.equity / series[0].equity * 100),
+          borderColor: '#1FB8CD',
+          pointRadius: 0,
+          fill: false
+        }, {
+          label: this.benchmark.name,
+          data: series.map(p => p.close / series[0].close * 100),
+          borderColor: '#B4413C',
+          pointRadius: 0,
+          fill: false
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: { y: { beginAtZero: false } }
+      }
+    });
+  }
+
+  /* ----------------------- MONTE CARLO ------------------------------ */
+  prepareMonteCarlo() {
+    const capital = this.getScopedCapital();
+    const capitalInput = document.getElementById('mcCapital');
+    capitalInput.placeholder = capital > 0 ? capital : 'e.g. 100000';
+    const method = document.getElementById('mcMethod');
+    method.querySelector('option[value="r"]').disabled = this.analyticsClosedTrades.every(t => this.getRMultiple(t) === null);
+    if (method.selectedOptions[0]?.disabled) method.value = 'pl';
+  }
+
+  // Historical outcomes in currency for the chosen window. In R mode each R-multiple is
+  // converted at the average initial risk of the sampled trades so both modes share one scale.
+  getMonteCarloOutcomes({ method, from, to, scale }) {
+    const trades = this.analyticsClosedTrades.filter(t => {
+      const date = (t.exitDate || t.entryDate || '').slice(0, 10);
+      return (!from || date >= from) && (!to || date <= to);
+    });
+    if (method === 'r') {
+      const withR = trades.filter(t => this.getRMultiple(t) !== null);
+      if (withR.length === 0) return [];
+      const avgRisk = withR.reduce((sum, t) => sum + TradeMetrics.calculateInitialRisk(t), 0) / withR.length;
+      return withR.map(t => this.getRMultiple(t) * avgRisk * scale);
+    }
+    return trades.map(t => (t.netPL || 0) * scale);
+  }
+
+  runMonteCarlo() {
+    const value = id => document.getElementById(id).value;
+    const params = {
+      method: value('mcMethod'),
+      from: value('mcFrom'),
+      to: value('mcTo'),
+      scale: parseFloat(value('mcScale')) || 1,
+      tradeCount: Math.min(1000, parseInt(value('mcTradeCount'), 10) || 100),
+      paths: Math.min(20000, parseInt(value('mcPaths'), 10) || 5000),
+      startEquity: parseFloat(value('mcCapital')) || this.getScopedCapital(),
+      target: parseFloat(value('mcTarget')) || 0,
+      ruinPct: parseFloat(value('mcRuin')) || 25
+    };
+    if (!(params.startEquity > 0)) {
+      this.showToast('Enter a starting equity (or set starting capital on the account) to run the simulation.', 'warning');
+      return;
+    }
+    const outcomes = this.getMonteCarloOutcomes(params);
+    if (outcomes.length < 10) {
+      this.showToast(`Need at least 10 closed trades in the sampling window (found ${outcomes.length}).`, 'warning');
+      return;
+    }
+    if (typeof Worker === 'undefined') {
+      this.showToast('This browser cannot run background workers.', 'error');
+      return;
+    }
+
+    this.monteCarloWorker?.terminate();
+    const worker = new Worker('monte-carlo-worker.js');
+    this.monteCarloWorker = worker;
+    const runBtn = document.getElementById('runMonteCarloBtn');
+    runBtn.disabled = true;
+    runBtn.textContent = 'Simulating...';
+    const finish = () => {
+      worker.terminate();
+      if (this.monteCarloWorker === worker) this.monteCarloWorker = null;
+      runBtn.disabled = false;
+      runBtn.textContent = 'Run Simulation';
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        runBtn.textContent = `Simulating... ${Math.round(msg.done * 100)}%`;
+      } else if (msg.type === 'result') {
+        finish();
+        this.renderMonteCarloResult(msg.result, { ...params, samples: outcomes.length });
+      } else if (msg.type === 'error') {
+        finish();
+        console.error('[MC] Simulation failed:', msg.message);
+        this.showToast(`Simulation failed: ${msg.message}`, 'error');
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      console.error('[MC] Worker error:', e.message);
+      this.showToast('Simulation failed to start.', 'error');
+    };
+    worker.postMessage({
+      outcomes,
+      tradeCount: params.tradeCount,
+      paths: params.paths,
+      startEquity: params.startEquity,
+      target: params.target,
+      ruinPct: params.ruinPct
     });
-    this.charts.pl = new Chart(ctx, {
+  }
+
+  renderMonteCarloResult(result, params) {
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    const item = (label, value, cls = '') => `<div class="summary-item"><span class="label">${label}:</span><span class="value ${cls}">${value}</span></div>`;
+    document.getElementById('monteCarloSummary').innerHTML = `
+      <p class="drawdown-summary">${params.paths.toLocaleString()} paths of ${params.tradeCount} trades, resampled from ${params.samples} ${params.method === 'r' ? 'R-multiples' : 'trade results'} at ${params.scale}× size.</p>
+      <div class="summary-stats">
+        ${item(`Chance of reaching +${this.formatCurrency(params.target)}`, params.target > 0 ? pct(result.probTarget) : 'n/a')}
+        ${item(`Risk of ruin (${params.ruinPct}% drawdown)`, pct(result.riskOfRuin), result.riskOfRuin > 0.05 ? 'negative' : '')}
+        ${item('Chance of ending in profit', pct(result.probProfit))}
+        ${item('Median final equity', this.formatCurrency(result.finalMedian), result.finalMedian >= params.startEquity ? 'positive' : 'negative')}
+        ${item('5th-95th percentile', `${this.formatCurrency(result.finalP5)} to ${this.formatCurrency(result.finalP95)}`)}
+        ${item('Median max drawdown', `${result.medianMaxDrawdownPct.toFixed(1)}%`)}
+        ${item('Max drawdown (95th pct)', `${result.worstMaxDrawdownPct.toFixed(1)}%`, 'negative')}
+      </div>`;
+
+    if (typeof Chart === 'undefined') return;
+    const ctx = document.getElementById('monteCarloChart');
+    this.charts.monteCarlo?.destroy();
+    const [p5, p25, p50, p75, p95] = result.bands;
+    const band = (label, data, fill, color) => ({ label, data, fill, borderWidth: 1, pointRadius: 0, borderColor: color, backgroundColor: color });
+    this.charts.monteCarlo = new Chart(ctx, {
       type: 'line',
       data: {
-        labels,
-        datasets: [{
-          label: 'Cumulative P&L',
-          data: cum,
-          borderColor: '#1FB8CD',
-          backgroundColor: 'rgba(31,184,205,0.15)',
-          tension: 0.4,
-          fill: true
-        }]
+        labels: p50.map((_, i) => i),
+        datasets: [
+          band('5th percentile', p5, false, 'rgba(33, 128, 141, 0.15)'),
+          band('95th percentile', p95, '-1', 'rgba(33, 128, 141, 0.15)'),
+          band('25th percentile', p25, false, 'rgba(33, 128, 141, 0.3)'),
+          band('75th percentile', p75, '-1', 'rgba(33, 128, 141, 0.3)'),
+          { label: 'Median', data: p50, fill: false, borderColor: '#21808D', borderWidth: 2, pointRadius: 0 }
+        ]
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
         scales: {
-          y: {
-            beginAtZero: false,
-            ticks: {
-              callback: v => this.formatCurrency(v)
-            }
-          }
+          x: { title: { display: true, text: 'Trades from now' } },
+          y: { ticks: { callback: v => this.formatCurrency(v) } }
         }
       }
     });
   }
 
-  drawRRChart() {
-    const ctx = document.getElementById('rrChart');
-    if (!ctx) return;
-    this.charts.rr?.destroy();
-    if (this.trades.length === 0) {
-      ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
-      return;
+  /* ----------------------- MAE / MFE ------------------------------ */
+  calculateProfitLeft(t) {
+    if (t.mfe === null || t.mfe === undefined || t.status === 'open') return null;
+    return Math.max(0, t.mfe - (t.grossPL || 0));
+  }
+
+  get excursionTrades() {
+    return this.analyticsClosedTrades.filter(t => t.mae !== null && t.mae !== undefined && t.mfe !== null && t.mfe !== undefined);
+  }
+
+  // Fills MAE/MFE from an intraday bar file (symbol, date/time, high, low; or a single price column)
+  // using every bar between each trade's entry and exit.
+  async importIntradayPrices(file) {
+    if (!file) return;
+    try {
+      const rows = this.parseCSV(await file.text()).filter(r => r.some(c => c.trim()));
+      const headers = (rows.shift() || []).map(h => h.trim().toLowerCase());
+      const find = names => headers.findIndex(h => names.includes(h));
+      const col = {
+        symbol: find(['symbol', 'tradingsymbol', 'instrument', 'scrip', 'ticker']),
+        date: find(['datetime', 'timestamp', 'date', 'time']),
+        time: headers.indexOf('time'),
+        high: find(['high', 'h']),
+        low: find(['low', 'l']),
+        price: find(['close', 'price', 'ltp', 'last'])
+      };
+      if (col.date === col.time) col.time = -1;
+      if (col.symbol === -1 || col.date === -1 || ((col.high === -1 || col.low === -1) && col.price === -1)) {
+        this.showToast('Price file needs symbol, date/time and high/low (or price) columns.', 'warning');
+        return;
+      }
+      const bars = {};
+      rows.forEach(r => {
+        const at = this.parseImportDate(r[col.date], col.time > -1 ? r[col.time] : '');
+        const high = this.parseImportNumber(r[col.high > -1 ? col.high : col.price]);
+        const low = this.parseImportNumber(r[col.low > -1 ? col.low : col.price]);
+        if (!at || !(high > 0) || !(low > 0)) return;
+        const symbol = r[col.symbol].trim().toUpperCase();
+        (bars[symbol] = bars[symbol] || []).push({ at, high, low });
+      });
+      const updates = [];
+      this.closedTrades.filter(t => !t.partialExit).forEach(t => {
+        const inTrade = (bars[t.symbol] || []).filter(b => b.at >= t.entryDate.slice(0, 16) && b.at <= (t.exitDate || '').slice(0, 16));
+        if (inTrade.length === 0) return;
+        const highs = [t.entryPrice, t.exitPrice, ...inTrade.map(b => b.high)];
+        const lows = [t.entryPrice, t.exitPrice, ...inTrade.map(b => b.low)];
+        const isShort = t.direction === 'Short';
+        const prices = {
+          maePrice: isShort ? Math.max(...highs) : Math.min(...lows),
+          mfePrice: isShort ? Math.min(...lows) : Math.max(...highs)
+        };
+        updates.push({ id: t.id, ...prices, ...TradeMetrics.calculateExcursions({ ...t, ...prices }) });
+      });
+      const tradesRef = this.db.collection('users').doc(this.currentUser.uid).collection('trades');
+      for (let i = 0; i < updates.length; i += 450) {
+        const batch = this.db.batch();
+        updates.slice(i, i + 450).forEach(({ id, ...data }) => batch.update(tradesRef.doc(id), data));
+        await batch.commit();
+      }
+      updates.forEach(({ id, ...data }) => {
+        const index = this.allTrades.findIndex(t => t.id === id);
+        if (index > -1) this.allTrades[index] = { ...this.allTrades[index], ...data };
+      });
+      this.showToast(`Updated MAE/MFE for ${updates.length} trade${updates.length === 1 ? '' : 's'}.`, updates.length ? 'success' : 'info');
+      document.dispatchEvent(new CustomEvent('data-changed'));
+    } catch (error) {
+      console.error('[IMPORT] Intraday price import failed:', error);
+      this.showToast(`Could not read price file: ${error.message}`, 'error');
     }
-    const buckets = {
-      '<1:1': 0,
-      '1:1-1:2': 0,
-      '1:2-1:3': 0,
-      '>1:3': 0
-    };
-    this.trades.forEach(t => {
-      const rr = t.riskRewardRatio || 0;
-      if (rr < 1) buckets['<1:1']++;
-      else if (rr < 2) buckets['1:1-1:2']++;
-      else if (rr < 3) buckets['1:2-1:3']++;
-      else buckets['>1:3']++;
-    });
-    this.charts.rr = new Chart(ctx, {
-      type: 'bar',
-      data: {
-        labels: Object.keys(buckets),
-        datasets: [{
-          label: '# of Trades',
-          data: Object.values(buckets),
-          backgroundColor: ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0']
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: {
-            display: false
-          }
+  }
+
+  drawExcursionCharts() {
+    const trades = this.excursionTrades;
+    const draw = (key, canvasId, xKey, yKey, xLabel, yLabel) => {
+      const ctx = document.getElementById(canvasId);
+      if (!ctx) return;
+      this.charts[key]?.destroy();
+      if (trades.length === 0) {
+        ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
+        return;
+      }
+      const point = t => ({ x: t[xKey], y: t[yKey] });
+      this.charts[key] = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+          datasets: [{
+            label: 'Winners',
+            data: trades.filter(t => t.netPL > 0).map(point),
+            backgroundColor: '#4BC0C0'
+          }, {
+            label: 'Losers',
+            data: trades.filter(t => t.netPL <= 0).map(point),
+            backgroundColor: '#FF6384'
+          }]
         },
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: {
-              stepSize: 1
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: {
+              title: { display: true, text: xLabel },
+              ticks: { callback: v => this.formatCurrency(v) }
+            },
+            y: {
+              title: { display: true, text: yLabel },
+              ticks: { callback: v => this.formatCurrency(v) }
             }
           }
         }
-      }
-    });
+      });
+    };
+    draw('mae', 'maeChart', 'mae', 'netPL', 'MAE (adverse move)', 'Final net P&L');
+    draw('mfe', 'mfeChart', 'mfe', 'grossPL', 'MFE (favorable move)', 'Captured gross P&L');
   }
 
-  drawStrategyChart() {
-    const ctx = document.getElementById('strategyChart');
+  renderExcursionReport() {
+    const container = document.getElementById('excursionReport');
+    const trades = this.excursionTrades;
+    if (trades.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">Record worst/best prices on trades, or import an intraday price file, to analyze MAE and MFE.</div>';
+      return;
+    }
+    const winners = trades.filter(t => t.netPL > 0);
+    const captured = winners.filter(t => t.mfe > 0).map(t => Math.min(1, t.grossPL / t.mfe));
+    const efficiency = captured.length ? captured.reduce((a, b) => a + b, 0) / captured.length : null;
+    const profitLeft = trades.reduce((sum, t) => sum + this.calculateProfitLeft(t), 0);
+    // Stop placement is judged in R: how close winners came to their stop, and how far losers ran first.
+    const winnersMaeR = winners.filter(t => TradeMetrics.calculateInitialRisk(t)).map(t => t.mae / TradeMetrics.calculateInitialRisk(t)).sort((a, b) => a - b);
+    const nearStop = winnersMaeR.filter(r => r >= 0.8).length;
+    const p90 = winnersMaeR.length ? winnersMaeR[Math.min(winnersMaeR.length - 1, Math.floor(winnersMaeR.length * 0.9))] : null;
+    const stoppedAfterProfit = trades.filter(t => t.netPL < 0 && TradeMetrics.calculateInitialRisk(t) && t.mfe >= TradeMetrics.calculateInitialRisk(t)).length;
+
+    const items = [
+      `<div class="report-item"><span>Trades with MAE/MFE:</span><span>${trades.length}</span></div>`,
+      `<div class="report-item"><span>Exit efficiency (winners' captured share of MFE):</span><span>${efficiency === null ? 'n/a' : (efficiency * 100).toFixed(0) + '%'}</span></div>`,
+      `<div class="report-item"><span>Profit left on the table:</span><span class="negative">${this.formatCurrency(profitLeft)}</span></div>`,
+      `<div class="report-item"><span>Losers that were up 1R or more first:</span><span>${stoppedAfterProfit}</span></div>`
+    ];
+    if (p90 !== null) {
+      items.push(`<div class="report-item"><span>90% of winners went no more than this far against you:</span><span>${p90.toFixed(2)}R</span></div>`);
+      items.push(`<div class="report-item"><span>Winners that came within 20% of the stop:</span><span>${nearStop} of ${winnersMaeR.length}</span></div>`);
+    }
+    let verdict = '';
+    if (winnersMaeR.length >= 5 && nearStop / winnersMaeR.length > 0.25) {
+      verdict = '<div class="suggestion-item suggestion-warning"><div class="suggestion-title">Stops May Be Too Tight</div><div class="suggestion-desc">More than a quarter of your winners nearly hit the stop before working out.</div></div>';
+    } else if (winnersMaeR.length >= 5 && p90 < 0.5) {
+      verdict = `<div class="suggestion-item suggestion-info"><div class="suggestion-title">Room to Tighten Stops</div><div class="suggestion-desc">Winners rarely move more than ${p90.toFixed(2)}R against you. A tighter stop could cut losses without costing many winners.</div></div>`;
+    }
+    if (efficiency !== null && efficiency < 0.5) {
+      verdict += '<div class="suggestion-item suggestion-warning"><div class="suggestion-title">Exiting Too Early</div><div class="suggestion-desc">You keep less than half of the favorable move on winners. Review your exits and trailing rules.</div></div>';
+    }
+    container.innerHTML = items.join('') + verdict;
+  }
+
+  /* ----------------------- R-MULTIPLES ------------------------------ */
+  // Trades saved before R-multiples were tracked get theirs derived on the fly.
+  getRMultiple(t) {
+    if (t.rMultiple !== undefined) return t.rMultiple;
+    if (t.status === 'open') return null;
+    const risk = TradeMetrics.calculateInitialRisk(t);
+    return risk ? t.netPL / risk : null;
+  }
+
+  calculateRStats(trades) {
+    const rs = trades.map(t => this.getRMultiple(t)).filter(r => r !== null && Number.isFinite(r));
+    if (rs.length === 0) {
+      return {
+        count: 0,
+        expectancy: null,
+        stdDev: null,
+        sqn: null
+      };
+    }
+    const expectancy = rs.reduce((sum, r) => sum + r, 0) / rs.length;
+    const stdDev = rs.length > 1 ? Math.sqrt(rs.reduce((sum, r) => sum + (r - expectancy) ** 2, 0) / (rs.length - 1)) : 0;
+    // Van Tharp caps N at 100 so a large sample can't inflate the score on its own.
+    const sqn = stdDev > 0 ? Math.sqrt(Math.min(rs.length, 100)) * expectancy / stdDev : null;
+    return {
+      count: rs.length,
+      expectancy,
+      stdDev,
+      sqn
+    };
+  }
+
+  describeSQN(sqn) {
+    if (sqn < 1.6) return 'Poor';
+    if (sqn < 2) return 'Below average';
+    if (sqn < 2.5) return 'Average';
+    if (sqn < 3) return 'Good';
+    if (sqn < 5) return 'Excellent';
+    if (sqn < 7) return 'Superb';
+    return 'Holy grail';
+  }
+
+  drawRMultipleChart() {
+    const ctx = document.getElementById('rMultipleChart');
     if (!ctx) return;
-    this.charts.strategy?.destroy();
-    if (this.trades.length === 0) {
+    this.charts.rMultiple?.destroy();
+    const rs = this.analyticsClosedTrades.map(t => this.getRMultiple(t)).filter(r => r !== null && Number.isFinite(r));
+    if (rs.length === 0) {
       ctx.getContext('2d').clearRect(0, 0, ctx.width, ctx.height);
       return;
     }
-    const map = {};
-    this.trades.forEach(t => {
-      if (!map[t.strategy]) map[t.strategy] = {
-        total: 0,
-        wins: 0
-      };
-      map[t.strategy].total++;
-      if (t.netPL > 0) map[t.strategy].wins++;
+    const edges = [-3, -2, -1, 0, 1, 2, 3];
+    const labels = ['< -3R', '-3R to -2R', '-2R to -1R', '-1R to 0R', '0R to 1R', '1R to 2R', '2R to 3R', '> 3R'];
+    const counts = new Array(labels.length).fill(0);
+    rs.forEach(r => {
+      const index = edges.findIndex(edge => r < edge);
+      counts[index === -1 ? labels.length - 1 : index]++;
     });
-    const labels = Object.keys(map);
-    const data = labels.map(l => Math.round((map[l].wins / map[l].total) * 100));
-    this.charts.strategy = new Chart(ctx, {
+    this.charts.rMultiple = new Chart(ctx, {
       type: 'bar',
       data: {
         labels,
         datasets: [{
-          label: 'Win Rate %',
-          data,
-          backgroundColor: '#4BC0C0'
+          label: '# of Trades',
+          data: counts,
+          backgroundColor: labels.map((_, i) => i < 4 ? '#FF6384' : '#4BC0C0')
         }]
       },
       options: {
@@ -1378,9 +5243,8 @@ class TradingJournalApp {
         scales: {
           y: {
             beginAtZero: true,
-            max: 100,
             ticks: {
-              callback: v => v + '%'
+              precision: 0
             }
           }
         }
@@ -1388,35 +5252,32 @@ class TradingJournalApp {
     });
   }
 
-  renderTimeTables() {
-    const container = document.getElementById('timeChart').parentElement;
-    container.querySelectorAll('.time-table').forEach(n => n.remove());
-    if (this.trades.length === 0) return;
-    const dowNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const dowMap = Object.fromEntries(dowNames.map(d => [d, {
-      total: 0,
-      wins: 0,
-      net: 0
-    }]));
-    this.trades.forEach(t => {
-      const d = new Date(t.entryDate);
-      const dow = dowNames[d.getDay()];
-      dowMap[dow].total++;
-      if (t.netPL > 0) dowMap[dow].wins++;
-      dowMap[dow].net += t.netPL;
+  renderRStrategyTable() {
+    const container = document.getElementById('rStrategyTable');
+    const map = {};
+    this.analyticsClosedTrades.forEach(t => {
+      const key = t.strategy || 'Unspecified';
+      map[key] = map[key] || {
+        planned: [],
+        trades: []
+      };
+      if (t.riskRewardRatio > 0) map[key].planned.push(t.riskRewardRatio);
+      map[key].trades.push(t);
     });
-    const makeTable = (title, rows) => {
-      const div = document.createElement('div');
-      div.className = 'time-table';
-      div.innerHTML = `<h4>${title}</h4><table class="trade-table"><thead><tr><th>Period</th><th>Trades</th><th>Win %</th><th>Net P&L</th></tr></thead><tbody>${rows}</tbody></table>`;
-      container.appendChild(div);
-    };
-    const dowRows = dowNames.filter(d => dowMap[d].total > 0).map(d => {
-      const o = dowMap[d];
-      const win = o.total > 0 ? Math.round((o.wins / o.total) * 100) : 0;
-      return `<tr><td>${d}</td><td>${o.total}</td><td>${win}%</td><td class="${o.net >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(o.net)}</td></tr>`;
-    }).join('');
-    makeTable('Day-of-Week Analysis', dowRows);
+    const rows = Object.entries(map).map(([strategy, o]) => ({
+      strategy,
+      planned: o.planned.length ? o.planned.reduce((a, b) => a + b, 0) / o.planned.length : null,
+      ...this.calculateRStats(o.trades)
+    })).filter(r => r.count > 0 || r.planned !== null).sort((a, b) => (b.expectancy ?? -Infinity) - (a.expectancy ?? -Infinity));
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state-sm">Add a stop loss to your trades to see realized R-multiples.</div>';
+      return;
+    }
+    const fmt = v => v === null ? '—' : `${v.toFixed(2)}R`;
+    container.innerHTML = `
+      <table class="trade-table"><thead><tr><th>Strategy</th><th>Planned R</th><th>Realized R (avg)</th><th>Trades with R</th><th>SQN</th></tr></thead><tbody>
+        ${rows.map(r => `<tr><td>${r.strategy}</td><td>${fmt(r.planned)}</td><td class="${r.expectancy === null ? '' : r.expectancy >= 0 ? 'positive' : 'negative'}">${fmt(r.expectancy)}</td><td>${r.count}</td><td>${r.sqn === null ? '—' : r.sqn.toFixed(2)}</td></tr>`).join('')}
+      </tbody></table>`;
   }
 
   /* ----------------------- CHARTS SECTION ----------------------------- */
@@ -1523,9 +5384,9 @@ class TradingJournalApp {
   }
 
   bestStrategy() {
-    if (this.trades.length === 0) return 'N/A';
+    if (this.closedTrades.length === 0) return 'N/A';
     const map = {};
-    this.trades.forEach(t => {
+    this.closedTrades.forEach(t => {
       if (t.strategy && t.strategy !== 'N/A') {
         map[t.strategy] = (map[t.strategy] || 0) + t.netPL
       }
@@ -1578,7 +5439,7 @@ class TradingJournalApp {
     for (let d = 1; d <= monthEnd.getDate(); d++) {
       const dayEl = document.createElement('div');
       const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-      const tradesOnDay = this.trades.filter(t => t.entryDate && t.entryDate.startsWith(key));
+      const tradesOnDay = this.closedTrades.filter(t => t.entryDate && t.entryDate.startsWith(key));
       let cls = 'no-trades';
       if (tradesOnDay.length > 0) {
         const pl = tradesOnDay.reduce((sum, t) => sum + t.netPL, 0);
@@ -1727,7 +5588,7 @@ class TradingJournalApp {
     if (this.allRules.length === 0) {
       return '<div class="empty-state">No rules defined in your rulebook.</div>';
     }
-    if (this.allTrades.length === 0) {
+    if (this.trades.length === 0) {
       return '<div class="empty-state">No trades recorded to analyze rule adherence.</div>';
     }
 
@@ -1738,7 +5599,7 @@ class TradingJournalApp {
       };
     });
 
-    this.allTrades.forEach(trade => {
+    this.trades.forEach(trade => {
       if (trade.followedRules && Array.isArray(trade.followedRules)) {
         trade.followedRules.forEach(ruleTitle => {
           if (ruleStats[ruleTitle]) {
@@ -1749,7 +5610,7 @@ class TradingJournalApp {
     });
 
     let table = '<table class="report-table"><thead><tr><th>Rule</th><th>Followed</th><th>Adherence</th></tr></thead><tbody>';
-    const totalTrades = this.allTrades.length;
+    const totalTrades = this.trades.length;
 
     for (const title in ruleStats) {
       const {
@@ -1789,7 +5650,7 @@ class TradingJournalApp {
 
   analyzeTradingEdge() {
     const best = this.bestStrategy();
-    const worstStrategies = Object.entries(this.trades.reduce((acc, t) => {
+    const worstStrategies = Object.entries(this.closedTrades.reduce((acc, t) => {
       if (t.strategy) acc[t.strategy] = (acc[t.strategy] || 0) + t.netPL;
       return acc;
     }, {})).sort((a, b) => a[1] - b[1]);
@@ -1817,9 +5678,15 @@ class TradingJournalApp {
   }
 
   analyzeEntries() {
-    const fomoTrades = this.trades.filter(t => t.fomoLevel > 5 && t.netPL < 0);
-    if (fomoTrades.length > 2) {
-      return `<div class="suggestion-item suggestion-warning">You've made ${fomoTrades.length} losing trades with high FOMO. Ensure you wait for your setup and avoid chasing the market.</div>`;
+    // Flag FOMO only when the journal shows it actually hurts results, split at the trader's own median.
+    const fomo = this.calculatePsychologyCorrelation('fomoLevel');
+    if (fomo.signal && fomo.signal.r < 0) {
+      const levels = this.getPsychologyTrades().map(t => t.fomoLevel).filter(Number.isFinite).sort((a, b) => a - b);
+      const median = levels[Math.floor(levels.length / 2)];
+      const avg = trades => trades.length ? trades.reduce((sum, t) => sum + (t.netPL || 0), 0) / trades.length : 0;
+      const high = this.getPsychologyTrades().filter(t => t.fomoLevel >= median);
+      const low = this.getPsychologyTrades().filter(t => t.fomoLevel < median);
+      return `<div class="suggestion-item suggestion-warning">Your results get worse as FOMO rises (r = ${fomo.signal.r.toFixed(2)} against ${fomo.signal.measure} over ${fomo.signal.n} trades). At FOMO ${median}+ you average ${this.formatCurrency(avg(high))} per trade${low.length ? ` vs ${this.formatCurrency(avg(low))} below it` : ''}. Wait for your setup and avoid chasing the market.</div>`;
     }
     const earlyEntries = this.trades.filter(t => t.waitedForSetup === 'No, entered early' && t.netPL < 0);
     if (earlyEntries.length > 2) {
@@ -1835,7 +5702,10 @@ class TradingJournalApp {
     }
     const fearExits = this.trades.filter(t => t.primaryExitReason === 'Fear-based exit');
     if (fearExits.length > 2) {
+      // Measured against the best price actually reached when MFE was recorded, otherwise against the target.
       const profitLeft = fearExits.reduce((sum, t) => {
+        const left = this.calculateProfitLeft(t);
+        if (left !== null) return sum + left;
         if (t.netPL > 0 && t.targetPrice > t.exitPrice) return sum + (t.targetPrice - t.exitPrice) * t.quantity;
         return sum;
       }, 0);
@@ -1851,27 +5721,54 @@ class TradingJournalApp {
     return `<div class="suggestion-item suggestion-info">For trades with 3+ confluence factors, your win rate is <strong>${stats.winRate}%</strong> with a P&L of <strong>${this.formatCurrency(stats.totalPL)}</strong>. Prioritize these high-quality setups.</div>`;
   }
 
+  // Best and worst weekday × hour windows from the journal itself, rather than a fixed session.
   analyzeTimeBasedConfidence() {
-    const morningTrades = this.trades.filter(t => t.marketSession === 'Market Open (9:30-10:30)');
-    if (morningTrades.length < 3) return '<div class="empty-state">Not enough trades during market open to analyze.</div>';
-    const stats = this.calculateStatsForTrades(morningTrades);
+    const cells = this.buildTimeCells(this.closedTrades);
+    const windows = Object.entries(cells)
+      .filter(([, trades]) => trades.length >= 3)
+      .map(([key, trades]) => {
+        const [day, hour] = key.split('-').map(Number);
+        return { day, hour, ...this.summarizeTimeBucket(trades) };
+      })
+      .sort((a, b) => b.net - a.net);
+    if (windows.length === 0) return '<div class="empty-state">Not enough trades in any time window to analyze (3+ per weekday and hour).</div>';
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const describe = w => `<strong>${dayNames[w.day]} ${this.formatHourWindow(w.hour)}</strong> (${w.total} trades, ${w.winRate}% win, ${this.formatCurrency(w.net)})`;
+    const best = windows[0];
+    const worst = windows[windows.length - 1];
     let suggestion = '';
-    if (stats.totalPL > 0) {
-      suggestion = `<div class="suggestion-item suggestion-good">You perform well during the market open, with a P&L of <strong>${this.formatCurrency(stats.totalPL)}</strong>. This might be your golden hour.</div>`;
-    } else {
-      suggestion = `<div class="suggestion-item suggestion-warning">You seem to struggle during the market open, with a P&L of <strong>${this.formatCurrency(stats.totalPL)}</strong>. This period is volatile; consider trading smaller or waiting for the market to settle.</div>`;
+    if (best.net > 0) {
+      suggestion += `<div class="suggestion-item suggestion-good">Your best window is ${describe(best)}. This might be your golden hour.</div>`;
+    }
+    if (worst.net < 0 && worst !== best) {
+      suggestion += `<div class="suggestion-item suggestion-warning">You struggle most during ${describe(worst)}. Consider trading smaller or sitting this window out.</div>`;
     }
-    return suggestion;
+    return suggestion || `<div class="suggestion-item suggestion-info">No time window stands out yet. Your strongest is ${describe(best)}.</div>`;
   }
 
   calculateStatsForTrades(trades) {
+    trades = this.getRealizedTrades(trades);
     if (trades.length === 0) {
       return {
         totalPL: 0,
         winRate: 0,
         totalTrades: 0,
         bestTrade: 0,
-        worstTrade: 0
+        worstTrade: 0,
+        grossProfit: 0,
+        grossLoss: 0,
+        profitFactor: null,
+        avgWin: 0,
+        avgLoss: 0,
+        payoffRatio: null,
+        maxWinStreak: 0,
+        maxLossStreak: 0,
+        avgHoldingMinutes: null,
+        stdDevPL: null,
+        dailyStdDev: null,
+        sharpe: null,
+        sortino: null,
+        kelly: null
       };
     }
     const totalPL = trades.reduce((sum, t) => sum + (t.netPL || 0), 0);
@@ -1884,10 +5781,121 @@ class TradingJournalApp {
       winRate,
       totalTrades: trades.length,
       bestTrade,
-      worstTrade
+      worstTrade,
+      ...this.calculateExtendedStats(trades)
+    };
+  }
+
+  // Distribution, streak and risk-adjusted figures for a set of closed trades.
+  calculateExtendedStats(trades) {
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const stdDev = values => {
+      if (values.length < 2) return null;
+      const m = mean(values);
+      return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+    };
+    const pls = trades.map(t => t.netPL || 0);
+    const winners = pls.filter(pl => pl > 0);
+    const losers = pls.filter(pl => pl < 0);
+    const grossProfit = winners.reduce((a, b) => a + b, 0);
+    const grossLoss = Math.abs(losers.reduce((a, b) => a + b, 0));
+    const avgWin = winners.length ? grossProfit / winners.length : 0;
+    const avgLoss = losers.length ? -grossLoss / losers.length : 0;
+    const payoffRatio = avgWin && avgLoss ? avgWin / Math.abs(avgLoss) : null;
+
+    const byExit = [...trades].sort((a, b) => new Date(a.exitDate || a.entryDate) - new Date(b.exitDate || b.entryDate));
+    let winStreak = 0;
+    let lossStreak = 0;
+    let maxWinStreak = 0;
+    let maxLossStreak = 0;
+    byExit.forEach(t => {
+      winStreak = t.netPL > 0 ? winStreak + 1 : 0;
+      lossStreak = t.netPL < 0 ? lossStreak + 1 : 0;
+      maxWinStreak = Math.max(maxWinStreak, winStreak);
+      maxLossStreak = Math.max(maxLossStreak, lossStreak);
+    });
+
+    const holds = trades.map(t => this.getHoldingMinutes(t)).filter(m => m !== null);
+
+    // Sharpe and Sortino use daily P&L on days with closed trades, annualised over 252 sessions
+    // with a zero risk-free rate; both ratios are unchanged by scaling P&L into % of capital.
+    const dailyMap = {};
+    byExit.forEach(t => {
+      const day = (t.exitDate || t.entryDate).slice(0, 10);
+      dailyMap[day] = (dailyMap[day] || 0) + (t.netPL || 0);
+    });
+    const daily = Object.values(dailyMap);
+    const dailyStdDev = stdDev(daily);
+    const downside = daily.length > 1 ? Math.sqrt(daily.reduce((sum, v) => sum + Math.min(0, v) ** 2, 0) / (daily.length - 1)) : null;
+    const winProb = winners.length / trades.length;
+
+    return {
+      grossProfit,
+      grossLoss,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      avgWin,
+      avgLoss,
+      payoffRatio,
+      maxWinStreak,
+      maxLossStreak,
+      avgHoldingMinutes: holds.length ? mean(holds) : null,
+      stdDevPL: stdDev(pls),
+      dailyStdDev,
+      sharpe: dailyStdDev ? mean(daily) / dailyStdDev * Math.sqrt(252) : null,
+      sortino: downside ? mean(daily) / downside * Math.sqrt(252) : null,
+      kelly: payoffRatio ? winProb - (1 - winProb) / payoffRatio : null
     };
   }
 
+  formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) return 'n/a';
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+    return `${(minutes / (60 * 24)).toFixed(1)}d`;
+  }
+
+  renderStatsGrid(stats) {
+    const num = (v, digits = 2) => v === null || v === undefined ? 'n/a' : v.toFixed(digits);
+    const items = [
+      ['Trades', stats.totalTrades],
+      ['Win Rate', `${stats.winRate}%`],
+      ['Net P&L', this.formatCurrency(stats.totalPL), stats.totalPL >= 0 ? 'positive' : 'negative'],
+      ['Profit Factor', stats.profitFactor === null && stats.grossProfit > 0 ? '∞' : num(stats.profitFactor)],
+      ['Avg Win', this.formatCurrency(stats.avgWin), 'positive'],
+      ['Avg Loss', this.formatCurrency(stats.avgLoss), 'negative'],
+      ['Payoff Ratio', num(stats.payoffRatio)],
+      ['Largest Win', this.formatCurrency(stats.bestTrade)],
+      ['Largest Loss', this.formatCurrency(stats.worstTrade)],
+      ['Max Win Streak', stats.maxWinStreak],
+      ['Max Loss Streak', stats.maxLossStreak],
+      ['Avg Holding Time', this.formatDuration(stats.avgHoldingMinutes)],
+      ['Std Dev (per trade)', stats.stdDevPL === null ? 'n/a' : this.formatCurrency(stats.stdDevPL)],
+      ['Std Dev (daily)', stats.dailyStdDev === null ? 'n/a' : this.formatCurrency(stats.dailyStdDev)],
+      ['Sharpe (daily, ann.)', num(stats.sharpe)],
+      ['Sortino (daily, ann.)', num(stats.sortino)],
+      ['Kelly Fraction', stats.kelly === null ? 'n/a' : `${(stats.kelly * 100).toFixed(1)}%`]
+    ];
+    return `<div class="stats-panel-grid">${items.map(([label, value, cls]) => `
+      <div class="summary-item"><span class="label">${label}:</span><span class="value ${cls || ''}">${value}</span></div>`).join('')}
+    </div>`;
+  }
+
+  renderStatsPanel() {
+    const select = document.getElementById('statsScope');
+    const current = select.value;
+    const strategies = [...new Set(this.analyticsClosedTrades.map(t => t.strategy).filter(Boolean))].sort();
+    const symbols = [...new Set(this.analyticsClosedTrades.map(t => t.symbol))].sort();
+    select.innerHTML = '<option value="">All closed trades</option>' +
+      `<optgroup label="Strategy">${strategies.map(v => `<option value="strategy:${v}">${v}</option>`).join('')}</optgroup>` +
+      `<optgroup label="Symbol">${symbols.map(v => `<option value="symbol:${v}">${v}</option>`).join('')}</optgroup>`;
+    select.value = [...select.options].some(o => o.value === current) ? current : '';
+    select.onchange = () => this.renderStatsPanel();
+    const [key, ...rest] = select.value.split(':');
+    const value = rest.join(':');
+    const trades = select.value ? this.analyticsClosedTrades.filter(t => t[key] === value) : this.analyticsClosedTrades;
+    document.getElementById('statsPanel').innerHTML = this.renderStatsGrid(this.calculateStatsForTrades(trades));
+  }
+
   // --- START: AI CHAT METHODS ---
   async handleSendMessage() {
     const chatInput = document.getElementById('aiChatInput');
@@ -1998,7 +6006,7 @@ class TradingJournalApp {
     for (let d = 1; d <= monthEnd.getDate(); d++) {
       const dayEl = document.createElement('div');
       const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-      const tradesOnDay = this.trades.filter(t => t.entryDate && t.entryDate.startsWith(key));
+      const tradesOnDay = this.closedTrades.filter(t => t.entryDate && t.entryDate.startsWith(key));
 
       let cls = 'no-trades';
       if (tradesOnDay.length > 0) {
@@ -2196,14 +6204,511 @@ class TradingJournalApp {
     });
   }
 
+  /* ------------------------ IMPORT ------------------------------------- */
+  showImportModal() {
+    this.importState = null;
+    document.getElementById('importFile').value = '';
+    document.getElementById('importMapping').innerHTML = '';
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importPreviewBtn').disabled = true;
+    document.getElementById('confirmImportBtn').disabled = true;
+    document.getElementById('importModal').classList.remove('hidden');
+  }
+
+  hideImportModal() {
+    document.getElementById('importModal').classList.add('hidden');
+    this.importState = null;
+  }
+
+  async loadImportFile(file) {
+    if (!file) return;
+    try {
+      const rows = this.parseCSV(await file.text());
+      const headerIndex = rows.findIndex(r => r.filter(c => c.trim()).length >= 3);
+      if (headerIndex === -1 || rows.length - headerIndex < 2) {
+        this.showToast('No trade rows found in this file.', 'warning');
+        return;
+      }
+      const headers = rows[headerIndex].map(h => h.trim());
+      this.importState = {
+        headers,
+        rows: rows.slice(headerIndex + 1).filter(r => r.some(c => c.trim())),
+        trades: []
+      };
+      this.renderImportMapping();
+    } catch (error) {
+      console.error('[IMPORT] Could not read file:', error);
+      this.showToast(`Could not read file: ${error.message}`, 'error');
+    }
+  }
+
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  renderImportMapping() {
+    if (!this.importState) return;
+    const broker = document.getElementById('importBroker').value;
+    const preset = BROKER_IMPORT_PRESETS[broker];
+    const { headers } = this.importState;
+    const findColumn = candidates => candidates.map(c => headers.find(h => h.toLowerCase() === c.toLowerCase())).find(Boolean) || '';
+
+    document.getElementById('importMapping').innerHTML = `
+      <p class="empty-state-sm">${headers.length} columns, ${this.importState.rows.length} rows. ${broker === 'generic' ? 'Map each field to a column in your file.' : 'Columns were matched from the broker preset; adjust if needed.'}</p>
+      <div class="form-grid">
+        ${IMPORT_FIELDS.map(f => {
+          const selected = preset ? findColumn(preset.columns[f.key] || []) : '';
+          return `
+          <div class="form-group">
+            <label class="form-label">${f.label}${f.required ? ' *' : ''}</label>
+            <select class="form-control" data-import-field="${f.key}">
+              <option value="">— none —</option>
+              ${headers.map(h => `<option value="${h}" ${h === selected ? 'selected' : ''}>${h}</option>`).join('')}
+            </select>
+          </div>`;
+        }).join('')}
+      </div>`;
+    document.getElementById('importPreview').innerHTML = '';
+    document.getElementById('importPreviewBtn').disabled = false;
+    document.getElementById('confirmImportBtn').disabled = true;
+  }
+
+  getImportMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importMapping [data-import-field]').forEach(sel => {
+      mapping[sel.dataset.importField] = sel.value;
+    });
+    return mapping;
+  }
+
+  parseImportNumber(value) {
+    if (value === undefined || value === null) return NaN;
+    return parseFloat(String(value).replace(/[,\s₹$]/g, ''));
+  }
+
+  // Broker exports disagree on date formats; normalise everything to the
+  // `YYYY-MM-DDTHH:mm` string the add-trade form stores. Numeric dates are read
+  // day first (Indian brokers) unless dayFirst is false. Impossible dates return null.
+  parseImportDate(dateStr, timeStr = '', dayFirst = true) {
+    let str = `${dateStr || ''} ${timeStr || ''}`.trim().replace(/,/g, ' ').replace(/\s+/g, ' ');
+    if (!str) return null;
+    let m = str.match(/^(\d{4})(\d{2})(\d{2});?(\d{2})?(\d{2})?(\d{2})?$/);
+    if (m) str = `${m[1]}-${m[2]}-${m[3]} ${m[4] || '00'}:${m[5] || '00'}`;
+    m = str.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})(.*)$/);
+    if (m) {
+      const [day, month] = dayFirst ? [m[1], m[2]] : [m[2], m[1]];
+      str = `${m[3]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}${m[4]}`;
+    }
+    m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?/);
+    if (m) {
+      const check = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+      if (check.getUTCMonth() !== +m[2] - 1 || check.getUTCDate() !== +m[3]) return null;
+    }
+    if (!m) {
+      const d = new Date(str);
+      if (isNaN(d)) return null;
+      const pad = n => String(n).padStart(2, '0');
+      return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    }
+    return `${m[1]}-${m[2]}-${m[3]}T${(m[4] || '00').padStart(2, '0')}:${m[5] || '00'}`;
+  }
+
+  // Whether a column of numeric dates is DD/MM (true) or MM/DD (false). Any first
+  // field above 12 means day first, any second field above 12 means month first;
+  // null when the two disagree. A column that never decides keeps the day-first default.
+  detectDayFirst(values) {
+    let dayFirst = false;
+    let monthFirst = false;
+    values.forEach(value => {
+      const m = String(value || '').trim().match(/^(\d{1,2})[-/](\d{1,2})[-/]\d{4}/);
+      if (!m) return;
+      if (+m[1] > 12) dayFirst = true;
+      if (+m[2] > 12) monthFirst = true;
+    });
+    if (dayFirst && monthFirst) return null;
+    return !monthFirst;
+  }
+
+  buildImportFills(mapping) {
+    const { headers, rows } = this.importState;
+    const col = key => headers.indexOf(mapping[key]);
+    const idx = Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, col(f.key)]));
+    const fills = [];
+    const skipped = [];
+    rows.forEach((r, i) => {
+      const rawQty = this.parseImportNumber(r[idx.quantity]);
+      const price = this.parseImportNumber(r[idx.price]);
+      const sideText = idx.side > -1 ? String(r[idx.side]).trim().toLowerCase() : '';
+      let side = /^(b|buy|bot|bought)/.test(sideText) ? 'Buy' : /^(s|sell|sld|sold)/.test(sideText) ? 'Sell' : '';
+      if (!side && !isNaN(rawQty) && rawQty !== 0 && idx.side === -1) side = rawQty > 0 ? 'Buy' : 'Sell';
+      const fill = {
+        symbol: String(r[idx.symbol] || '').trim().toUpperCase(),
+        side,
+        quantity: Math.abs(rawQty),
+        price,
+        date: this.parseImportDate(r[idx.date], idx.time > -1 ? r[idx.time] : ''),
+        tradeId: idx.tradeId > -1 ? String(r[idx.tradeId] || '').trim() : ''
+      };
+      if (!fill.symbol || !fill.side || !fill.quantity || isNaN(fill.price) || !fill.date) {
+        skipped.push(i + 1);
+        return;
+      }
+      fills.push(fill);
+    });
+    return { fills, skipped };
+  }
+
+  // Walks each symbol's fills in time order and closes a round trip whenever the
+  // position returns to flat. Fills that flip the position are split across trades.
+  pairFillsIntoTrades(fills) {
+    const bySymbol = {};
+    [...fills].sort((a, b) => a.date.localeCompare(b.date)).forEach(f => {
+      (bySymbol[f.symbol] = bySymbol[f.symbol] || []).push(f);
+    });
+    const roundTrips = [];
+    const openPositions = [];
+    Object.entries(bySymbol).forEach(([symbol, symbolFills]) => {
+      let position = 0;
+      let current = null;
+      symbolFills.forEach(fill => {
+        let remaining = fill.side === 'Buy' ? fill.quantity : -fill.quantity;
+        while (Math.abs(remaining) > 1e-9) {
+          if (!current) {
+            current = {
+              symbol,
+              direction: remaining > 0 ? 'Long' : 'Short',
+              entryQty: 0,
+              entryValue: 0,
+              exitQty: 0,
+              exitValue: 0,
+              entryDate: fill.date,
+              exitDate: null,
+              tradeIds: [],
+              legs: []
+            };
+          }
+          if (fill.tradeId && !current.tradeIds.includes(fill.tradeId)) current.tradeIds.push(fill.tradeId);
+          const legQty = position === 0 || Math.sign(remaining) === Math.sign(position) ? Math.abs(remaining) : Math.min(Math.abs(remaining), Math.abs(position));
+          current.legs.push({
+            date: fill.date,
+            side: fill.side,
+            quantity: legQty,
+            price: fill.price
+          });
+          if (position === 0 || Math.sign(remaining) === Math.sign(position)) {
+            current.entryQty += Math.abs(remaining);
+            current.entryValue += Math.abs(remaining) * fill.price;
+            position += remaining;
+            remaining = 0;
+          } else {
+            const closeQty = Math.min(Math.abs(remaining), Math.abs(position));
+            current.exitQty += closeQty;
+            current.exitValue += closeQty * fill.price;
+            current.exitDate = fill.date;
+            position += Math.sign(remaining) * closeQty;
+            remaining -= Math.sign(remaining) * closeQty;
+            if (Math.abs(position) < 1e-9) {
+              position = 0;
+              roundTrips.push(current);
+              current = null;
+            }
+          }
+        }
+      });
+      if (current) openPositions.push(current);
+    });
+    return { roundTrips, openPositions };
+  }
+
+  buildImportedTrade(rt, broker, accountId = '') {
+    const round = n => Math.round(n * 10000) / 10000;
+    const isOpen = !rt.exitDate || Math.abs(rt.entryQty - rt.exitQty) > 1e-9;
+    return TradeMetrics.calculateTradeMetrics({
+      status: isOpen ? 'open' : 'closed',
+      accountId,
+      symbol: rt.symbol,
+      direction: rt.direction,
+      segment: this.inferImportSegment(rt),
+      ...this.inferImportInstrument(rt.symbol),
+      quantity: rt.entryQty,
+      entryPrice: round(rt.entryValue / rt.entryQty),
+      exitPrice: rt.exitQty ? round(rt.exitValue / rt.exitQty) : null,
+      stopLoss: null,
+      targetPrice: null,
+      maePrice: null,
+      mfePrice: null,
+      strategy: '',
+      exitReason: 'N/A',
+      confidenceLevel: 5,
+      entryDate: rt.entryDate,
+      exitDate: rt.exitDate,
+      preEmotion: '',
+      postEmotion: '',
+      notes: '',
+      sleepQuality: 5,
+      physicalCondition: 5,
+      marketSentiment: '',
+      newsAwareness: '',
+      marketEnvironment: '',
+      fomoLevel: 1,
+      preStress: 1,
+      multiTimeframes: [],
+      volumeAnalysis: '',
+      technicalConfluence: [],
+      marketSession: '',
+      tradeCatalyst: '',
+      waitedForSetup: '',
+      positionComfort: 5,
+      planDeviation: '',
+      stressDuring: 1,
+      primaryExitReason: '',
+      exitEmotion: '',
+      wouldTakeAgain: '',
+      lesson: '',
+      volatilityToday: '',
+      sectorPerformance: '',
+      economicEvents: [],
+      personalDistractions: [],
+      followedRules: [],
+      importSource: broker,
+      importTradeIds: rt.tradeIds,
+      // A plain in-and-out round trip (or a single untouched entry) keeps the single-fill shape.
+      ...(rt.legs.length > 2 || (isOpen && rt.exitQty > 0) ? {
+        legs: rt.legs
+      } : {})
+    }, this.chargeProfiles);
+  }
+
+  inferImportSegment(rt) {
+    if (/\d(CE|PE)$/.test(rt.symbol)) return 'fo_options';
+    if (/FUT$/.test(rt.symbol)) return 'fo_futures';
+    return rt.exitDate && rt.entryDate.slice(0, 10) === rt.exitDate.slice(0, 10) ? 'equity_intraday' : 'equity_delivery';
+  }
+
+  // Broker tradingsymbols such as NIFTY24JAN22000CE or BANKNIFTY24JANFUT carry the underlying as a letter prefix.
+  // Broker quantities are in units, so imported contracts keep a lot size of 1.
+  // NSE F&O symbols carry the contract: NIFTY24JAN22000CE and NIFTY24JANFUT expire at the
+  // end of the month, NIFTY2411822000CE on the date given (year, month 1-9/O/N/D, day).
+  // Tradebook quantities are units, not lots, so lotSize stays 1 and P&L comes out per unit.
+  inferImportInstrument(symbol) {
+    const underlying = (symbol.match(/^[A-Z&-]+/) || [symbol])[0];
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const pad = n => String(n).padStart(2, '0');
+    let expiry = '';
+    let strike = null;
+    const weekly = symbol.match(/^[A-Z&-]+(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/);
+    const monthly = symbol.match(new RegExp(`^[A-Z&-]+(\\d{2})(${months.join('|')})(\\d+(?:\\.\\d+)?)?(CE|PE|FUT)$`));
+    if (weekly) {
+      const month = { O: 10, N: 11, D: 12 }[weekly[2]] || Number(weekly[2]);
+      expiry = `20${weekly[1]}-${pad(month)}-${weekly[3]}`;
+      strike = parseFloat(weekly[4]);
+    } else if (monthly) {
+      // Monthly contracts expire on the last Thursday, or the last Tuesday from September 2025.
+      const year = 2000 + Number(monthly[1]);
+      const month = months.indexOf(monthly[2]);
+      const weekday = year * 12 + month >= 2025 * 12 + 8 ? 2 : 4;
+      const last = new Date(Date.UTC(year, month + 1, 0));
+      last.setUTCDate(last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7);
+      expiry = last.toISOString().slice(0, 10);
+      strike = monthly[3] ? parseFloat(monthly[3]) : null;
+    }
+    if (/\d(CE|PE)$/.test(symbol)) {
+      return {
+        instrumentType: 'option',
+        underlying,
+        expiry,
+        strike,
+        optionType: symbol.slice(-2),
+        lotSize: 1,
+        multiplier: 1
+      };
+    }
+    if (/FUT$/.test(symbol)) {
+      return {
+        instrumentType: 'future',
+        underlying,
+        expiry,
+        lotSize: 1,
+        multiplier: 1
+      };
+    }
+    return {
+      instrumentType: 'equity'
+    };
+  }
+
+  importDuplicateKey(t) {
+    return [t.symbol, t.direction, (t.entryDate || '').slice(0, 16), t.quantity, Number(t.entryPrice).toFixed(2)].join('|');
+  }
+
+  previewImport() {
+    if (!this.importState) return;
+    const mapping = this.getImportMapping();
+    const missing = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]).map(f => f.label);
+    if (missing.length > 0) {
+      this.showToast(`Map these columns first: ${missing.join(', ')}`, 'warning');
+      return;
+    }
+
+    const broker = document.getElementById('importBroker').value;
+    const { fills, skipped } = this.buildImportFills(mapping);
+    const { roundTrips, openPositions } = this.pairFillsIntoTrades(fills);
+
+    // Duplicates are looked for in the account being imported into, not the one picked in the nav.
+    const accountId = document.getElementById('importAccount').value;
+    const targetTrades = this.allTrades.filter(t => (t.accountId || '') === accountId);
+    const existingKeys = new Set(targetTrades.map(t => this.importDuplicateKey(t)));
+    const existingIds = new Set(targetTrades.flatMap(t => t.importTradeIds || []));
+    const seenKeys = new Set();
+    this.importState.trades = [...roundTrips, ...openPositions].map(rt => {
+      const trade = this.buildImportedTrade(rt, broker, accountId);
+      const key = this.importDuplicateKey(trade);
+      const duplicate = existingKeys.has(key) || seenKeys.has(key) || rt.tradeIds.some(id => existingIds.has(id));
+      const { valid, errors } = TradeSchema.validateTrade(trade);
+      seenKeys.add(key);
+      return { trade, duplicate, invalid: valid ? null : Object.values(errors).join(' '), selected: !duplicate && valid };
+    });
+    this.importState.skipped = skipped;
+    this.renderImportPreview(skipped);
+  }
+
+  renderImportPreview(skipped) {
+    const container = document.getElementById('importPreview');
+    const items = this.importState.trades;
+    const duplicates = items.filter(i => i.duplicate).length;
+    const notes = [];
+    if (duplicates > 0) notes.push(`${duplicates} possible duplicate${duplicates > 1 ? 's' : ''} unselected`);
+    const invalid = items.filter(i => i.invalid).length;
+    if (invalid > 0) notes.push(`${invalid} invalid trade${invalid > 1 ? 's' : ''} cannot be imported`);
+    const openCount = items.filter(i => i.trade.status === 'open').length;
+    if (openCount > 0) notes.push(`${openCount} position${openCount > 1 ? 's' : ''} still open, imported as open trades`);
+    if (skipped.length > 0) notes.push(`${skipped.length} unreadable row${skipped.length > 1 ? 's' : ''} skipped`);
+
+    if (items.length === 0) {
+      container.innerHTML = `<div class="empty-state">No trades found.${notes.length ? ' ' + notes.join('; ') + '.' : ''}</div>`;
+      document.getElementById('confirmImportBtn').disabled = true;
+      return;
+    }
+
+    container.innerHTML = `
+      <h4>Preview: ${items.length} trade${items.length > 1 ? 's' : ''}</h4>
+      ${notes.length ? `<p class="empty-state-sm">${notes.join('; ')}.</p>` : ''}
+      <table class="trade-table import-preview-table"><thead>
+        <tr><th></th><th>Date</th><th>Symbol</th><th>Dir</th><th>Qty</th><th>Entry</th><th>Exit</th><th>P&L</th><th>Status</th></tr>
+      </thead><tbody>
+        ${items.map((item, i) => {
+          const t = item.trade;
+          return `
+          <tr class="${item.duplicate || item.invalid ? 'import-duplicate' : ''}">
+            <td><input type="checkbox" data-import-index="${i}" ${item.selected ? 'checked' : ''} ${item.invalid ? 'disabled' : ''}></td>
+            <td data-label="Date">${this.formatDate(t.entryDate)}</td>
+            <td data-label="Symbol">${t.symbol}</td>
+            <td data-label="Direction"><span class="trade-direction ${t.direction.toLowerCase()}">${t.direction}</span></td>
+            <td data-label="Qty">${t.quantity}</td>
+            <td data-label="Entry">${this.formatCurrency(t.entryPrice)}</td>
+            <td data-label="Exit">${t.exitPrice === null ? '—' : this.formatCurrency(t.exitPrice)}</td>
+            <td data-label="P&L" class="${t.status === 'open' ? '' : t.netPL >= 0 ? 'positive' : 'negative'}">${t.status === 'open' ? '<span class="status-badge open">Open</span>' : this.formatCurrency(t.netPL)}</td>
+            <td data-label="Status" ${item.invalid ? `title="${item.invalid}"` : ''}>${item.invalid ? 'Invalid' : item.duplicate ? 'Duplicate' : 'New'}</td>
+          </tr>`;
+        }).join('')}
+      </tbody></table>`;
+    container.querySelectorAll('[data-import-index]').forEach(cb => {
+      cb.addEventListener('change', () => {
+        items[cb.dataset.importIndex].selected = cb.checked;
+        document.getElementById('confirmImportBtn').disabled = !items.some(i => i.selected);
+      });
+    });
+    document.getElementById('confirmImportBtn').disabled = !items.some(i => i.selected);
+  }
+
+  async confirmImport() {
+    if (!this.importState || !this.currentUser) return;
+    const selected = this.importState.trades.filter(i => i.selected);
+    if (selected.length === 0) return;
+
+    const button = document.getElementById('confirmImportBtn');
+    button.disabled = true;
+    const tradesRef = this.db.collection('users').doc(this.currentUser.uid).collection('trades');
+    const written = [];
+    const committed = [];
+    try {
+      // Firestore caps a batch at 500 writes.
+      for (let i = 0; i < selected.length; i += 450) {
+        const batch = this.db.batch();
+        const items = selected.slice(i, i + 450);
+        const chunk = items.map(({ trade }) => {
+          const ref = tradesRef.doc();
+          batch.set(ref, { ...trade,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+          });
+          return { id: ref.id, ...trade };
+        });
+        await batch.commit();
+        written.push(...chunk);
+        committed.push(...items);
+      }
+      this.showToast(`Imported ${written.length} trades.`, 'success');
+      this.hideImportModal();
+    } catch (error) {
+      console.error('[IMPORT] Batch write error:', error);
+      this.showToast(`Import stopped after ${written.length} trades: ${error.message}`, 'error');
+      // Committed chunks are already saved; drop them from the preview so a retry only writes the rest.
+      const done = new Set(committed);
+      this.importState.trades = this.importState.trades.filter(item => !done.has(item));
+      this.renderImportPreview(this.importState.skipped);
+      button.disabled = !this.importState.trades.some(item => item.selected);
+    } finally {
+      if (written.length > 0) {
+        this.allTrades = [...written, ...this.allTrades].sort((a, b) => new Date(b.entryDate) - new Date(a.entryDate));
+        document.dispatchEvent(new CustomEvent('data-changed'));
+      }
+    }
+  }
+
   /* ------------------------ EXPORT ------------------------------------- */
-  exportCSV() {
-    if (this.trades.length === 0) {
+  exportCSV(trades = this.trades, filename = 'trading_journal_data.csv') {
+    if (trades.length === 0) {
       this.showToast('No trades to export', 'warning');
       return;
     }
-    const header = Object.keys(this.trades[0]).join(',');
-    const rows = this.trades.map(t => Object.values(t).map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
+    // Trades don't all carry the same fields (legs, spreads, custom fields), so the header is the union of keys.
+    const keys = [...new Set(trades.flatMap(t => Object.keys(t)))];
+    const header = keys.join(',');
+    const rows = trades.map(t => keys.map(key => `"${String(t[key] ?? '').replace(/"/g, '""')}"`).join(','));
     const csv = [header, ...rows].join('\n');
     const blob = new Blob([csv], {
       type: 'text/csv;charset=utf-8;'
@@ -2211,7 +6716,7 @@ class TradingJournalApp {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'trading_journal_data.csv';
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
   }
@@ -0,0 +1,75 @@
+// monte-carlo-worker.js
+// Runs the Monte Carlo equity simulation off the main thread. Every path draws
+// `tradeCount` outcomes (with replacement) from the journal's historical results.
+// Paths advance one trade at a time so memory stays proportional to the number
+// of paths rather than paths × trades.
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+function percentile(sorted, p) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p / 100 * (sorted.length - 1))));
+  return sorted[index];
+}
+
+/**
+ * @param {object} params
+ * @param {number[]} params.outcomes - Per-trade P&L in currency, already scaled for position size.
+ * @param {number} params.tradeCount - Trades per simulated path.
+ * @param {number} params.paths - Number of simulated paths.
+ * @param {number} params.startEquity - Equity every path starts from.
+ * @param {number} params.target - Profit (above start) counted as "reached" once touched.
+ * @param {number} params.ruinPct - Drawdown from the running peak, in percent, counted as ruin.
+ */
+function simulate({ outcomes, tradeCount, paths, startEquity, target, ruinPct }) {
+  const equity = new Float64Array(paths).fill(startEquity);
+  const peak = new Float64Array(paths).fill(startEquity);
+  const maxDrawdownPct = new Float64Array(paths);
+  const reachedTarget = new Uint8Array(paths);
+  const ruined = new Uint8Array(paths);
+  const bands = PERCENTILES.map(() => [startEquity]);
+  const column = new Float64Array(paths);
+
+  for (let step = 1; step <= tradeCount; step++) {
+    for (let p = 0; p < paths; p++) {
+      if (ruined[p]) {
+        column[p] = equity[p];
+        continue;
+      }
+      equity[p] += outcomes[Math.floor(Math.random() * outcomes.length)];
+      if (equity[p] > peak[p]) peak[p] = equity[p];
+      const drawdownPct = peak[p] > 0 ? (peak[p] - equity[p]) / peak[p] * 100 : 100;
+      if (drawdownPct > maxDrawdownPct[p]) maxDrawdownPct[p] = drawdownPct;
+      if (equity[p] - startEquity >= target) reachedTarget[p] = 1;
+      // A ruined path stops trading: it sits at the equity where the threshold was hit.
+      if (drawdownPct >= ruinPct) ruined[p] = 1;
+      column[p] = equity[p];
+    }
+    column.sort();
+    PERCENTILES.forEach((pct, i) => bands[i].push(percentile(column, pct)));
+    if (step % 25 === 0) self.postMessage({ type: 'progress', done: step / tradeCount });
+  }
+
+  const finals = Float64Array.from(equity).sort();
+  const drawdowns = Float64Array.from(maxDrawdownPct).sort();
+  const count = flags => flags.reduce((sum, f) => sum + f, 0);
+  return {
+    percentiles: PERCENTILES,
+    bands,
+    probTarget: count(reachedTarget) / paths,
+    riskOfRuin: count(ruined) / paths,
+    probProfit: finals.filter(v => v > startEquity).length / paths,
+    finalP5: percentile(finals, 5),
+    finalMedian: percentile(finals, 50),
+    finalP95: percentile(finals, 95),
+    medianMaxDrawdownPct: percentile(drawdowns, 50),
+    worstMaxDrawdownPct: percentile(drawdowns, 95)
+  };
+}
+
+self.onmessage = (e) => {
+  try {
+    self.postMessage({ type: 'result', result: simulate(e.data) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,146 @@
+// Netlify Function: save-trades.js
+// Authenticated write endpoint for trades coming from outside the web form
+// (scripts, integrations). Derived values (P&L, charges, R) are recomputed with the
+// same code the add-trade form runs, and every trade is checked against the same schema.
+// The web client writes to Firestore directly; firestore.rules holds those writes to the
+// schema's required fields, types and date order. Rules do not apply to this function.
+
+const admin = require('firebase-admin');
+const { validateTrade } = require('../../trade-schema');
+const { calculateTradeMetrics } = require('../../trade-metrics');
+
+const MAX_TRADES_PER_REQUEST = 450; // Firestore caps a batch at 500 writes.
+
+// Computed by calculateTradeMetrics; whatever the caller (or an older stored copy) says is discarded.
+const DERIVED_FIELDS = ['grossPL', 'charges', 'netPL', 'riskRewardRatio', 'mae', 'mfe', 'initialRisk', 'rMultiple', 'maxRisk', 'maxProfit', 'remainingQuantity', 'holdingMinutes', 'holdingType'];
+
+const withoutDerived = trade => {
+    const copy = { ...trade };
+    DERIVED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+};
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+// calculateTradeMetrics walks legs and spread components as they come, so those must have the
+// right shape before it runs. Everything else, including the fields it derives, is left to validateTrade.
+const checkComputable = trade => {
+    if (trade.legs !== undefined && trade.legs !== null) {
+        const validLeg = leg => isObject(leg) && typeof leg.date === 'string' && typeof leg.quantity === 'number' && typeof leg.price === 'number';
+        if (!Array.isArray(trade.legs) || !trade.legs.every(validLeg)) return { legs: 'Legs must be a list of { date, side, quantity, price }.' };
+    }
+    if (trade.instrumentType === 'spread' && trade.structure !== undefined && trade.structure !== null) {
+        const components = isObject(trade.structure) ? trade.structure.components : null;
+        const validComponent = c => isObject(c) && typeof c.quantity === 'number' && typeof c.entryPrice === 'number';
+        if (!Array.isArray(components) || !components.every(validComponent)) return { structure: 'Spread components must be a list of { side, optionType, strike, quantity, entryPrice }.' };
+    }
+    return null;
+};
+
+let db, auth;
+
+try {
+    if (!admin.apps.length) {
+        admin.initializeApp({
+            credential: admin.credential.cert({
+                projectId: process.env.FIREBASE_PROJECT_ID,
+                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+            }),
+        });
+    }
+    db = admin.firestore();
+    auth = admin.auth();
+} catch (e) {
+    console.error("CRITICAL ERROR: Firebase admin initialization FAILED.", e);
+}
+
+exports.handler = async (event) => {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    };
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers, body: '' };
+    }
+
+    if (!db || !auth) {
+        return { statusCode: 500, headers, body: JSON.stringify({ error: "Server configuration error." }) };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, headers, body: 'Method Not Allowed' };
+    }
+
+    // Callers authenticate with a Firebase ID token: `Authorization: Bearer <token>`.
+    const token = (event.headers.authorization || event.headers.Authorization || '').replace(/^Bearer\s+/i, '');
+    let uid;
+    try {
+        uid = (await auth.verifyIdToken(token)).uid;
+    } catch (error) {
+        return { statusCode: 401, headers, body: JSON.stringify({ error: 'Missing or invalid ID token.' }) };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body);
+    } catch (parseError) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid request format.' }) };
+    }
+
+    if (!body || typeof body !== 'object') {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid request format.' }) };
+    }
+
+    const trades = Array.isArray(body.trades) ? body.trades : [body.trade];
+    if (trades.length === 0 || trades.length > MAX_TRADES_PER_REQUEST) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Send between 1 and ${MAX_TRADES_PER_REQUEST} trades.` }) };
+    }
+
+    try {
+        const tradesRef = db.collection('users').doc(uid).collection('trades');
+        const chargesDoc = await db.collection('users').doc(uid).collection('settings').doc('charges').get();
+        const chargeProfiles = chargesDoc.exists ? chargesDoc.data().profiles || null : null;
+
+        // An id updates that trade; it must already exist, and the stored trade plus the changes is what gets validated.
+        const ids = [...new Set(trades.filter(t => isObject(t) && typeof t.id === 'string' && t.id).map(t => t.id))];
+        const snapshots = ids.length ? await db.getAll(...ids.map(id => tradesRef.doc(id))) : [];
+        const existing = Object.fromEntries(snapshots.filter(snap => snap.exists).map(snap => [snap.id, snap.data()]));
+
+        const prepared = trades.map((trade, index) => {
+            if (!isObject(trade)) return { index, errors: { trade: 'Trade must be an object.' } };
+            const { id, createdAt, updatedAt, ...fields } = trade;
+            if (id !== undefined && !existing[id]) return { index, errors: { id: 'No trade with this id.' } };
+            const data = id ? { ...withoutDerived(existing[id]), ...withoutDerived(fields) } : withoutDerived(fields);
+            // Legs-only and spread trades get quantity, prices and dates from the recompute, so validate after it.
+            const shapeErrors = checkComputable(data);
+            if (shapeErrors) return { index, errors: shapeErrors };
+            calculateTradeMetrics(data, chargeProfiles);
+            const { valid, errors } = validateTrade(data);
+            return { index, id, data, errors: valid ? null : errors };
+        });
+
+        // All-or-nothing: one invalid trade rejects the whole request so callers can fix and resend.
+        const invalid = prepared.filter(p => p.errors).map(({ index, errors }) => ({ index, errors }));
+        if (invalid.length > 0) {
+            return { statusCode: 422, headers, body: JSON.stringify({ error: 'Validation failed.', invalid }) };
+        }
+
+        const batch = db.batch();
+        const written = prepared.map(({ id, data }) => {
+            const ref = id ? tradesRef.doc(id) : tradesRef.doc();
+            batch.set(ref, {
+                ...data,
+                [id ? 'updatedAt' : 'createdAt']: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return ref.id;
+        });
+        await batch.commit();
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, ids: written }) };
+    } catch (error) {
+        console.error('[LOG] CRITICAL: Failed to write trades.', error);
+        return { statusCode: 500, headers, body: JSON.stringify({ error: 'An internal server error occurred.' }) };
+    }
+};
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTradeMetrics } = require('../trade-metrics');
+
+const equity = (overrides = {}) => ({
+  symbol: 'INFY',
+  direction: 'Long',
+  quantity: 10,
+  entryPrice: 100,
+  exitPrice: 110,
+  entryDate: '2025-01-02T10:00',
+  exitDate: '2025-01-03T10:00',
+  segment: 'equity_delivery',
+  ...overrides
+});
+
+const option = (overrides = {}) => ({
+  symbol: 'NIFTY',
+  instrumentType: 'option',
+  optionType: 'PE',
+  strike: 22000,
+  lotSize: 50,
+  direction: 'Short',
+  quantity: 2,
+  entryPrice: 100,
+  exitPrice: 40,
+  entryDate: '2025-01-02T10:00',
+  exitDate: '2025-01-03T10:00',
+  segment: 'fo_options',
+  ...overrides
+});
+
+test('long equity: P&L, delivery charges and R from the stop', () => {
+  const t = calculateTradeMetrics(equity({ stopLoss: 95 }));
+  assert.equal(t.status, 'closed');
+  assert.equal(t.remainingQuantity, 0);
+  assert.equal(t.grossPL, 100);
+  assert.deepEqual(t.charges, { brokerage: 0, stt: 2.1, exchange: 0.06, gst: 0.01, sebi: 0, stampDuty: 0.15, total: 2.32 });
+  assert.equal(t.netPL, 97.68);
+  assert.equal(t.initialRisk, 50);
+  assert.ok(Math.abs(t.rMultiple - 97.68 / 50) < 1e-9);
+});
+
+test('short equity profits when the price falls', () => {
+  const t = calculateTradeMetrics(equity({ direction: 'Short', entryPrice: 110, exitPrice: 100, segment: 'equity_intraday' }));
+  assert.equal(t.grossPL, 100);
+  assert.equal(t.netPL, t.grossPL - t.charges.total);
+  assert.ok(t.charges.total > 0);
+});
+
+test('derived values sent with the trade are replaced', () => {
+  const t = calculateTradeMetrics(equity({ grossPL: 99999, netPL: 99999, rMultiple: 42 }));
+  assert.equal(t.grossPL, 100);
+  assert.equal(t.rMultiple, null);
+});
+
+test('legs: averages, realized P&L and the open remainder', () => {
+  const t = calculateTradeMetrics({
+    symbol: 'TCS',
+    segment: 'equity_delivery',
+    legs: [
+      { date: '2025-01-02T10:00', side: 'Buy', quantity: 10, price: 100 },
+      { date: '2025-01-02T11:00', side: 'Buy', quantity: 10, price: 110 },
+      { date: '2025-01-03T10:00', side: 'Sell', quantity: 5, price: 120 }
+    ]
+  });
+  assert.equal(t.direction, 'Long');
+  assert.equal(t.quantity, 20);
+  assert.equal(t.entryPrice, 105);
+  assert.equal(t.exitPrice, 120);
+  assert.equal(t.entryDate, '2025-01-02T10:00');
+  assert.equal(t.exitDate, '2025-01-03T10:00');
+  assert.equal(t.status, 'open');
+  assert.equal(t.remainingQuantity, 15);
+  assert.equal(t.grossPL, 75);
+  assert.equal(t.legs[2].realizedPL, 75);
+});
+
+test('spread: net premium per lot, P&L and defined risk', () => {
+  const t = calculateTradeMetrics({
+    symbol: 'NIFTY',
+    instrumentType: 'spread',
+    lotSize: 50,
+    segment: 'fo_options',
+    entryDate: '2025-01-02T10:00',
+    exitDate: '2025-01-02T12:00',
+    structure: {
+      type: 'vertical',
+      components: [
+        { side: 'Buy', optionType: 'CE', strike: 100, quantity: 1, entryPrice: 10, exitPrice: 15 },
+        { side: 'Sell', optionType: 'CE', strike: 110, quantity: 1, entryPrice: 4, exitPrice: 6 }
+      ]
+    }
+  });
+  assert.equal(t.direction, 'Long');
+  assert.equal(t.quantity, 1);
+  assert.equal(t.entryPrice, 6);
+  assert.equal(t.exitPrice, 9);
+  assert.equal(t.grossPL, 150);
+  assert.equal(t.maxRisk, 300);
+  assert.equal(t.maxProfit, 200);
+  assert.equal(t.initialRisk, 300);
+});
+
+test('option with a strike: max risk and profit at expiry', () => {
+  const t = calculateTradeMetrics(option());
+  assert.equal(t.grossPL, 6000);
+  assert.equal(t.maxRisk, (22000 - 100) * 2 * 50);
+  assert.equal(t.maxProfit, 100 * 2 * 50);
+  assert.equal(t.initialRisk, t.maxRisk);
+});
+
+test('option without a strike leaves risk unknown instead of zero', () => {
+  const t = calculateTradeMetrics(option({ strike: null }));
+  assert.equal(t.grossPL, 6000);
+  assert.equal(t.maxRisk, null);
+  assert.equal(t.maxProfit, null);
+  assert.equal(t.initialRisk, null);
+  assert.equal(t.rMultiple, null);
+});
+
+test('option without a strike still takes R from a stop', () => {
+  const t = calculateTradeMetrics(option({ strike: null, stopLoss: 150 }));
+  assert.equal(t.initialRisk, 50 * 2 * 50);
+  assert.ok(Math.abs(t.rMultiple - t.netPL / 5000) < 1e-9);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTrade } = require('../trade-schema');
+
+const closedLong = (overrides = {}) => ({
+  symbol: 'INFY',
+  direction: 'Long',
+  quantity: 10,
+  entryPrice: 1500,
+  exitPrice: 1520,
+  entryDate: '2025-01-02T09:20',
+  exitDate: '2025-01-02T11:00',
+  ...overrides
+});
+
+test('accepts a complete closed long trade', () => {
+  assert.deepEqual(validateTrade(closedLong()), { valid: true, errors: {} });
+});
+
+test('rejects anything that is not an object', () => {
+  assert.deepEqual(validateTrade(null).errors, { trade: 'Trade must be an object.' });
+});
+
+test('requires symbol, direction, quantity and entry price', () => {
+  const { valid, errors } = validateTrade(closedLong({ symbol: ' ', direction: 'Up', quantity: 0, entryPrice: '1500' }));
+  assert.equal(valid, false);
+  assert.deepEqual(Object.keys(errors).sort(), ['direction', 'entryPrice', 'quantity', 'symbol']);
+});
+
+test('a closed trade needs an exit, an open one does not', () => {
+  const exitless = { exitPrice: null, exitDate: null };
+  assert.deepEqual(Object.keys(validateTrade(closedLong(exitless)).errors).sort(), ['exitDate', 'exitPrice']);
+  assert.equal(validateTrade(closedLong({ ...exitless, status: 'open' })).valid, true);
+});
+
+test('rejects an exit before the entry', () => {
+  const { errors } = validateTrade(closedLong({ exitDate: '2025-01-01T15:00' }));
+  assert.equal(errors.exitDate, 'Exit date cannot be before the entry date.');
+});
+
+test('checks stop and target against the direction', () => {
+  assert.equal(validateTrade(closedLong({ stopLoss: 1490, targetPrice: 1550 })).valid, true);
+  const { errors } = validateTrade(closedLong({ direction: 'Short', exitPrice: 1480, stopLoss: 1490, targetPrice: 1550 }));
+  assert.equal(errors.stopLoss, 'For a short trade the stop loss must be above the entry price.');
+  assert.equal(errors.targetPrice, 'For a short trade the target must be below the entry price.');
+});
+
+test('checks every leg', () => {
+  const legs = [
+    { date: '2025-01-02T09:20', side: 'Buy', quantity: 10, price: 1500 },
+    { date: '2025-01-02T11:00', side: 'Hold', quantity: 10, price: 1520 }
+  ];
+  assert.equal(validateTrade(closedLong({ legs })).errors.legs, 'Leg 2: side must be Buy or Sell.');
+});
+
+test('a spread needs at least two option legs', () => {
+  const structure = { type: 'vertical', components: [{ side: 'Buy', optionType: 'CE', strike: 22000, quantity: 1, entryPrice: 120 }] };
+  const { errors } = validateTrade(closedLong({ instrumentType: 'spread', structure }));
+  assert.equal(errors.structure, 'A spread needs at least two option legs.');
+});
+
+test('scale fields are whole numbers from 1 to 10', () => {
+  assert.equal(validateTrade(closedLong({ fomoLevel: 7 })).valid, true);
+  assert.equal(validateTrade(closedLong({ fomoLevel: 11 })).errors.fomoLevel, 'Must be a whole number from 1 to 10.');
+});
@@ -0,0 +1,325 @@
+// trade-metrics.js
+// Derived trade values (P&L, charges, R, excursions) computed from what the trader entered.
+// Loaded as a plain script in the browser (exposes window.TradeMetrics) and required by
+// Netlify functions, so a trade written through the API gets exactly the numbers the form would give it.
+
+(function (root, factory) {
+  const metrics = factory();
+  if (typeof module === 'object' && module.exports) module.exports = metrics;
+  else root.TradeMetrics = metrics;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Statutory rates are percentages of turnover (SEBI's ₹10/crore is 0.0001%).
+  // Brokerage is charged per executed order, i.e. twice for a round trip.
+  const DEFAULT_CHARGE_PROFILES = {
+    equity_intraday: {
+      brokerageType: 'percent', brokerageFlat: 20, brokeragePercent: 0.03, brokerageCap: 20,
+      sttBuy: 0, sttSell: 0.025, exchange: 0.00297, sebi: 0.0001, stampDuty: 0.003, gst: 18
+    },
+    equity_delivery: {
+      brokerageType: 'flat', brokerageFlat: 0, brokeragePercent: 0, brokerageCap: 0,
+      sttBuy: 0.1, sttSell: 0.1, exchange: 0.00297, sebi: 0.0001, stampDuty: 0.015, gst: 18
+    },
+    fo_futures: {
+      brokerageType: 'percent', brokerageFlat: 20, brokeragePercent: 0.03, brokerageCap: 20,
+      sttBuy: 0, sttSell: 0.02, exchange: 0.00173, sebi: 0.0001, stampDuty: 0.002, gst: 18
+    },
+    fo_options: {
+      brokerageType: 'flat', brokerageFlat: 20, brokeragePercent: 0, brokerageCap: 0,
+      sttBuy: 0, sttSell: 0.1, exchange: 0.03503, sebi: 0.0001, stampDuty: 0.003, gst: 18
+    }
+  };
+
+  // Futures and options quantities are in lots, so currency P&L scales by lot size and any contract multiplier.
+  function getContractFactor(t) {
+    if (!t || !['future', 'option', 'spread'].includes(t.instrumentType)) return 1;
+    return (t.lotSize || 1) * (t.multiplier || 1);
+  }
+
+  // Realized P&L per closing leg is measured against the running weighted
+  // average cost of the open position at the time of that leg.
+  function aggregateLegs(legs, factor = 1) {
+    const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+    const sorted = [...legs].sort((a, b) => a.date.localeCompare(b.date));
+    const direction = sorted[0].side === 'Sell' ? 'Short' : 'Long';
+    const openSide = direction === 'Long' ? 'Buy' : 'Sell';
+    const sign = direction === 'Long' ? 1 : -1;
+    let position = 0;
+    let avgCost = 0;
+    let openedQty = 0;
+    let openedValue = 0;
+    let closedQty = 0;
+    let closedValue = 0;
+    let realizedPL = 0;
+    let exitDate = null;
+    let overClosed = false;
+
+    const aggregated = sorted.map(leg => {
+      const out = {
+        date: leg.date,
+        side: leg.side,
+        quantity: leg.quantity,
+        price: leg.price,
+        realizedPL: 0
+      };
+      if (leg.side === openSide) {
+        avgCost = (avgCost * position + leg.price * leg.quantity) / (position + leg.quantity);
+        position += leg.quantity;
+        openedQty += leg.quantity;
+        openedValue += leg.price * leg.quantity;
+      } else {
+        const qty = Math.min(leg.quantity, position);
+        if (qty < leg.quantity) overClosed = true;
+        out.realizedPL = round((leg.price - avgCost) * qty * sign * factor);
+        realizedPL += out.realizedPL;
+        position -= qty;
+        closedQty += qty;
+        closedValue += leg.price * qty;
+        exitDate = leg.date;
+      }
+      out.positionAfter = position;
+      return out;
+    });
+
+    return {
+      direction,
+      legs: aggregated,
+      quantity: openedQty,
+      entryPrice: openedQty ? round(openedValue / openedQty, 4) : 0,
+      exitPrice: closedQty ? round(closedValue / closedQty, 4) : null,
+      closedQuantity: closedQty,
+      remainingQuantity: position,
+      realizedPL: round(realizedPL),
+      entryDate: sorted[0].date,
+      exitDate,
+      overClosed,
+      openAvgPrice: position > 0 ? round(avgCost, 4) : null
+    };
+  }
+
+  function calculateStructurePL(components, factor) {
+    return components.reduce((sum, c) => {
+      const sign = c.side === 'Sell' ? -1 : 1;
+      return sum + ((c.exitPrice || 0) - c.entryPrice) * sign * c.quantity * factor;
+    }, 0);
+  }
+
+  // An option leg without a strike (blank in the form, or an import symbol that could not be parsed) has no known payoff.
+  function hasStrikes(components) {
+    return components.every(c => !['CE', 'PE'].includes(c.optionType) || (typeof c.strike === 'number' && c.strike > 0));
+  }
+
+  // Expiry payoff is piecewise linear between strikes, so its extremes sit at
+  // S = 0, at a strike, or out at infinity (decided by the net call/future slope).
+  // Both are null when a strike is missing, which callers show as unknown rather than unlimited.
+  function calculateStructureRisk(components, factor) {
+    if (!hasStrikes(components)) return { maxRisk: null, maxProfit: null };
+    const payoffAt = price => components.reduce((sum, c) => {
+      const sign = c.side === 'Sell' ? -1 : 1;
+      let value = price;
+      if (c.optionType === 'CE') value = Math.max(0, price - c.strike);
+      if (c.optionType === 'PE') value = Math.max(0, c.strike - price);
+      return sum + (value - c.entryPrice) * sign * c.quantity * factor;
+    }, 0);
+    const strikes = components.map(c => c.strike || 0);
+    const points = [0, ...strikes];
+    const payoffs = points.map(payoffAt);
+    const slopeRight = components.reduce((sum, c) => {
+      if (c.optionType === 'PE') return sum;
+      return sum + (c.side === 'Sell' ? -1 : 1) * c.quantity * factor;
+    }, 0);
+    const minPayoff = Math.min(...payoffs);
+    const maxPayoff = Math.max(...payoffs);
+    const round = n => Math.round(n * 100) / 100;
+    return {
+      maxRisk: slopeRight < 0 ? null : round(Math.max(0, -minPayoff)),
+      maxProfit: slopeRight > 0 ? null : round(Math.max(0, maxPayoff))
+    };
+  }
+
+  // A spread is journaled as one trade: net debit reads as Long, net credit as Short,
+  // and entry/exit prices are the net premium per lot of the structure.
+  function applyStructureMetrics(trade) {
+    const factor = getContractFactor(trade);
+    const components = trade.structure.components;
+    const lots = components[0]?.quantity || 1;
+    const netEntry = components.reduce((sum, c) => sum + (c.side === 'Sell' ? -1 : 1) * c.entryPrice * c.quantity, 0);
+    const netExit = components.reduce((sum, c) => sum + (c.side === 'Sell' ? -1 : 1) * (c.exitPrice || 0) * c.quantity, 0);
+    const round = n => Math.round(n * 10000) / 10000;
+    const isOpen = trade.status === 'open';
+    Object.assign(trade, {
+      direction: netEntry >= 0 ? 'Long' : 'Short',
+      quantity: lots,
+      entryPrice: round(Math.abs(netEntry) / lots),
+      exitPrice: isOpen ? null : round(Math.abs(netExit) / lots),
+      remainingQuantity: isOpen ? lots : 0,
+      status: isOpen ? 'open' : 'closed',
+      grossPL: isOpen ? 0 : calculateStructurePL(components, factor)
+    });
+    if (isOpen) trade.exitDate = null;
+    trade.structure.components = components.map(c => ({ ...c,
+      exitPrice: isOpen ? c.exitPrice : (c.exitPrice || 0)
+    }));
+    Object.assign(trade, calculateStructureRisk(components, factor));
+    return trade;
+  }
+
+  function getChargeProfile(segment, chargeProfiles) {
+    const key = DEFAULT_CHARGE_PROFILES[segment] ? segment : 'equity_intraday';
+    return { ...DEFAULT_CHARGE_PROFILES[key],
+      ...(chargeProfiles?.[key] || {})
+    };
+  }
+
+  // Each executed order as { side, value } in currency, which is what brokerage and turnover are charged on.
+  function buildChargeOrders(trade) {
+    const factor = getContractFactor(trade);
+    const opposite = side => side === 'Buy' ? 'Sell' : 'Buy';
+    if (trade.instrumentType === 'spread' && trade.structure) {
+      return trade.structure.components.flatMap(c => [{
+        side: c.side,
+        value: c.entryPrice * c.quantity * factor
+      }, {
+        side: opposite(c.side),
+        value: trade.status === 'open' ? 0 : (c.exitPrice || 0) * c.quantity * factor
+      }]);
+    }
+    if (trade.legs && trade.legs.length > 0) {
+      return trade.legs.map(l => ({
+        side: l.side,
+        value: l.price * l.quantity * factor
+      }));
+    }
+    const qty = trade.quantity || 0;
+    const openSide = trade.direction === 'Short' ? 'Sell' : 'Buy';
+    return [{
+      side: openSide,
+      value: (trade.entryPrice || 0) * qty * factor
+    }, {
+      side: opposite(openSide),
+      value: (trade.exitPrice || 0) * qty * factor
+    }];
+  }
+
+  function calculateCharges(trade, chargeProfiles) {
+    const p = getChargeProfile(trade.segment, chargeProfiles);
+    const orders = buildChargeOrders(trade);
+    const buyValue = orders.filter(o => o.side === 'Buy').reduce((sum, o) => sum + o.value, 0);
+    const sellValue = orders.filter(o => o.side === 'Sell').reduce((sum, o) => sum + o.value, 0);
+    const turnover = buyValue + sellValue;
+    const orderBrokerage = value => {
+      if (!value) return 0;
+      if (p.brokerageType === 'flat') return p.brokerageFlat;
+      const pct = value * p.brokeragePercent / 100;
+      return p.brokerageCap > 0 ? Math.min(pct, p.brokerageCap) : pct;
+    };
+    const round = n => Math.round(n * 100) / 100;
+
+    const brokerage = orders.reduce((sum, o) => sum + orderBrokerage(o.value), 0);
+    const stt = (buyValue * p.sttBuy + sellValue * p.sttSell) / 100;
+    const exchange = turnover * p.exchange / 100;
+    const sebi = turnover * p.sebi / 100;
+    const stampDuty = buyValue * p.stampDuty / 100;
+    const gst = (brokerage + exchange + sebi) * p.gst / 100;
+    const charges = {
+      brokerage: round(brokerage),
+      stt: round(stt),
+      exchange: round(exchange),
+      gst: round(gst),
+      sebi: round(sebi),
+      stampDuty: round(stampDuty)
+    };
+    charges.total = round(Object.values(charges).reduce((sum, v) => sum + v, 0));
+    return charges;
+  }
+
+  // maePrice/mfePrice are the worst and best prices reached while the trade was on;
+  // mae/mfe turn them into currency for the whole position so they compare with P&L.
+  function calculateExcursions(t) {
+    const factor = getContractFactor(t) * (t.quantity || 0);
+    const sign = t.direction === 'Short' ? -1 : 1;
+    return {
+      mae: t.maePrice ? Math.max(0, (t.entryPrice - t.maePrice) * sign * factor) : null,
+      mfe: t.mfePrice ? Math.max(0, (t.mfePrice - t.entryPrice) * sign * factor) : null
+    };
+  }
+
+  // 1R is what the trade stood to lose when it was placed: entry to stop, or the
+  // defined max risk of an option position when no stop was set.
+  function calculateInitialRisk(t) {
+    if (t.stopLoss && t.entryPrice) {
+      return Math.abs(t.entryPrice - t.stopLoss) * t.quantity * getContractFactor(t);
+    }
+    return t.maxRisk || null;
+  }
+
+  // Derived values are never trusted from the form; every write recomputes them here.
+  function calculateTradeMetrics(trade, chargeProfiles) {
+    const factor = getContractFactor(trade);
+    if (trade.instrumentType === 'spread' && trade.structure) {
+      applyStructureMetrics(trade);
+    } else if (trade.legs && trade.legs.length > 0) {
+      const agg = aggregateLegs(trade.legs, factor);
+      Object.assign(trade, {
+        legs: agg.legs,
+        direction: agg.direction,
+        quantity: agg.quantity,
+        entryPrice: agg.entryPrice,
+        exitPrice: agg.exitPrice,
+        entryDate: agg.entryDate,
+        exitDate: agg.exitDate,
+        remainingQuantity: agg.remainingQuantity,
+        status: agg.remainingQuantity > 0 ? 'open' : 'closed'
+      });
+      trade.grossPL = agg.realizedPL;
+    } else if (trade.status === 'open') {
+      trade.exitPrice = null;
+      trade.exitDate = null;
+      trade.remainingQuantity = trade.quantity;
+      trade.grossPL = 0;
+    } else {
+      trade.status = 'closed';
+      trade.remainingQuantity = 0;
+      trade.grossPL = (trade.direction === 'Long' ? (trade.exitPrice - trade.entryPrice) * trade.quantity : (trade.entryPrice - trade.exitPrice) * trade.quantity) * factor;
+    }
+    if (trade.instrumentType === 'option') {
+      const risk = calculateStructureRisk([{
+        optionType: trade.optionType,
+        strike: trade.strike,
+        side: trade.direction === 'Short' ? 'Sell' : 'Buy',
+        quantity: trade.quantity,
+        entryPrice: trade.entryPrice
+      }], factor);
+      trade.maxRisk = risk.maxRisk;
+      trade.maxProfit = risk.maxProfit;
+    }
+    trade.charges = calculateCharges(trade, chargeProfiles);
+    trade.netPL = trade.grossPL - trade.charges.total;
+    if (trade.stopLoss && trade.targetPrice) {
+      const risk = Math.abs(trade.entryPrice - trade.stopLoss);
+      const reward = Math.abs(trade.targetPrice - trade.entryPrice);
+      trade.riskRewardRatio = risk ? reward / risk : 0;
+    } else {
+      trade.riskRewardRatio = 0;
+    }
+    Object.assign(trade, calculateExcursions(trade));
+    trade.initialRisk = calculateInitialRisk(trade);
+    trade.rMultiple = trade.status !== 'open' && trade.initialRisk ? trade.netPL / trade.initialRisk : null;
+    return trade;
+  }
+
+  return {
+    DEFAULT_CHARGE_PROFILES,
+    getContractFactor,
+    aggregateLegs,
+    calculateStructurePL,
+    hasStrikes,
+    calculateStructureRisk,
+    applyStructureMetrics,
+    getChargeProfile,
+    buildChargeOrders,
+    calculateCharges,
+    calculateExcursions,
+    calculateInitialRisk,
+    calculateTradeMetrics
+  };
+});
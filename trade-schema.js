@@ -0,0 +1,125 @@
+// trade-schema.js
+// Single source of truth for what a valid trade document looks like.
+// Loaded as a plain script in the browser (exposes window.TradeSchema) and
+// required by Netlify functions so server-side writes go through the same checks.
+
+(function (root, factory) {
+  const schema = factory();
+  if (typeof module === 'object' && module.exports) module.exports = schema;
+  else root.TradeSchema = schema;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DIRECTIONS = ['Long', 'Short'];
+  const STATUSES = ['open', 'closed'];
+  const SEGMENTS = ['equity_intraday', 'equity_delivery', 'fo_futures', 'fo_options'];
+  const INSTRUMENT_TYPES = ['equity', 'future', 'option', 'spread'];
+  const LEG_SIDES = ['Buy', 'Sell'];
+  const SCALE_FIELDS = ['confidenceLevel', 'sleepQuality', 'physicalCondition', 'fomoLevel', 'preStress', 'positionComfort', 'stressDuring'];
+  const MAX_SYMBOL_LENGTH = 40;
+
+  const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+  const isBlank = v => v === undefined || v === null || v === '';
+  const toTime = v => {
+    if (isBlank(v)) return NaN;
+    if (typeof v.toDate === 'function') return v.toDate().getTime();
+    return new Date(v).getTime();
+  };
+
+  /**
+   * Validates a trade as it is about to be written.
+   * @param {object} trade - Trade document (form output, import row or API payload).
+   * @returns {{ valid: boolean, errors: Object<string, string> }} Errors keyed by field name,
+   *   matching the `<field>-error` containers in the add-trade form.
+   */
+  function validateTrade(trade) {
+    const errors = {};
+    const fail = (field, message) => {
+      if (!errors[field]) errors[field] = message;
+    };
+    if (!trade || typeof trade !== 'object') {
+      return { valid: false, errors: { trade: 'Trade must be an object.' } };
+    }
+    const isOpen = trade.status === 'open';
+
+    if (typeof trade.symbol !== 'string' || !trade.symbol.trim()) fail('symbol', 'Symbol is required.');
+    else if (trade.symbol.length > MAX_SYMBOL_LENGTH) fail('symbol', `Symbol must be at most ${MAX_SYMBOL_LENGTH} characters.`);
+
+    if (!DIRECTIONS.includes(trade.direction)) fail('direction', 'Select Long or Short.');
+    if (!isBlank(trade.status) && !STATUSES.includes(trade.status)) fail('status', 'Status must be open or closed.');
+    if (!isBlank(trade.segment) && !SEGMENTS.includes(trade.segment)) fail('segment', 'Unknown segment.');
+    if (!isBlank(trade.instrumentType) && !INSTRUMENT_TYPES.includes(trade.instrumentType)) fail('instrumentType', 'Unknown instrument type.');
+
+    if (!isNumber(trade.quantity) || trade.quantity <= 0) fail('quantity', 'Quantity must be a number greater than 0.');
+    if (!isNumber(trade.entryPrice) || trade.entryPrice < 0) fail('entryPrice', 'Entry price must be a number of 0 or more.');
+    if (!isOpen && (!isNumber(trade.exitPrice) || trade.exitPrice < 0)) fail('exitPrice', 'Exit price must be a number of 0 or more.');
+    if (isOpen && !isBlank(trade.exitPrice) && (!isNumber(trade.exitPrice) || trade.exitPrice < 0)) fail('exitPrice', 'Exit price must be a number of 0 or more.');
+
+    const entryTime = toTime(trade.entryDate);
+    const exitTime = toTime(trade.exitDate);
+    if (Number.isNaN(entryTime)) fail('entryDate', 'Entry date is required.');
+    if (!isOpen && Number.isNaN(exitTime)) fail('exitDate', 'Exit date is required.');
+    if (!Number.isNaN(entryTime) && !Number.isNaN(exitTime) && exitTime < entryTime) fail('exitDate', 'Exit date cannot be before the entry date.');
+
+    ['lotSize', 'multiplier'].forEach(field => {
+      if (!isBlank(trade[field]) && (!isNumber(trade[field]) || trade[field] <= 0)) fail(field, `${field === 'lotSize' ? 'Lot size' : 'Multiplier'} must be greater than 0.`);
+    });
+
+    // Stops and targets only make sense on the loss/profit side of the entry for the trade's direction.
+    const entry = trade.entryPrice;
+    if (!isBlank(trade.stopLoss)) {
+      if (!isNumber(trade.stopLoss) || trade.stopLoss <= 0) fail('stopLoss', 'Stop loss must be a number greater than 0.');
+      else if (isNumber(entry) && trade.direction === 'Long' && trade.stopLoss >= entry) fail('stopLoss', 'For a long trade the stop loss must be below the entry price.');
+      else if (isNumber(entry) && trade.direction === 'Short' && trade.stopLoss <= entry) fail('stopLoss', 'For a short trade the stop loss must be above the entry price.');
+    }
+    if (!isBlank(trade.targetPrice)) {
+      if (!isNumber(trade.targetPrice) || trade.targetPrice <= 0) fail('targetPrice', 'Target must be a number greater than 0.');
+      else if (isNumber(entry) && trade.direction === 'Long' && trade.targetPrice <= entry) fail('targetPrice', 'For a long trade the target must be above the entry price.');
+      else if (isNumber(entry) && trade.direction === 'Short' && trade.targetPrice >= entry) fail('targetPrice', 'For a short trade the target must be below the entry price.');
+    }
+
+    // The worst and best prices reached while the trade was on (MAE/MFE) sit on either side of the entry.
+    if (!isBlank(trade.maePrice)) {
+      if (!isNumber(trade.maePrice) || trade.maePrice <= 0) fail('maePrice', 'Worst price must be a number greater than 0.');
+      else if (isNumber(entry) && trade.direction === 'Long' && trade.maePrice > entry) fail('maePrice', 'For a long trade the worst price cannot be above the entry price.');
+      else if (isNumber(entry) && trade.direction === 'Short' && trade.maePrice < entry) fail('maePrice', 'For a short trade the worst price cannot be below the entry price.');
+    }
+    if (!isBlank(trade.mfePrice)) {
+      if (!isNumber(trade.mfePrice) || trade.mfePrice <= 0) fail('mfePrice', 'Best price must be a number greater than 0.');
+      else if (isNumber(entry) && trade.direction === 'Long' && trade.mfePrice < entry) fail('mfePrice', 'For a long trade the best price cannot be below the entry price.');
+      else if (isNumber(entry) && trade.direction === 'Short' && trade.mfePrice > entry) fail('mfePrice', 'For a short trade the best price cannot be above the entry price.');
+    }
+
+    SCALE_FIELDS.forEach(field => {
+      if (!isBlank(trade[field]) && (!Number.isInteger(trade[field]) || trade[field] < 1 || trade[field] > 10)) fail(field, 'Must be a whole number from 1 to 10.');
+    });
+
+    if (!isBlank(trade.legs)) {
+      if (!Array.isArray(trade.legs)) fail('legs', 'Legs must be a list.');
+      else {
+        trade.legs.forEach((leg, i) => {
+          if (!leg || !LEG_SIDES.includes(leg.side)) fail('legs', `Leg ${i + 1}: side must be Buy or Sell.`);
+          else if (!isNumber(leg.quantity) || leg.quantity <= 0) fail('legs', `Leg ${i + 1}: quantity must be greater than 0.`);
+          else if (!isNumber(leg.price) || leg.price < 0) fail('legs', `Leg ${i + 1}: price must be a number of 0 or more.`);
+          else if (Number.isNaN(toTime(leg.date))) fail('legs', `Leg ${i + 1}: date is required.`);
+        });
+      }
+    }
+
+    if (trade.instrumentType === 'spread') {
+      const components = trade.structure && trade.structure.components;
+      if (!Array.isArray(components) || components.length < 2) fail('structure', 'A spread needs at least two option legs.');
+      else {
+        components.forEach((c, i) => {
+          if (!LEG_SIDES.includes(c.side)) fail('structure', `Option leg ${i + 1}: side must be Buy or Sell.`);
+          else if (!isNumber(c.quantity) || c.quantity <= 0) fail('structure', `Option leg ${i + 1}: lots must be greater than 0.`);
+          else if (!isNumber(c.entryPrice) || c.entryPrice < 0) fail('structure', `Option leg ${i + 1}: entry premium is required.`);
+        });
+      }
+    }
+
+    if (!isBlank(trade.tags) && (!Array.isArray(trade.tags) || trade.tags.some(tag => typeof tag !== 'string'))) fail('tags', 'Tags must be a list of text labels.');
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  return { validateTrade, DIRECTIONS, SEGMENTS, INSTRUMENT_TYPES };
+});